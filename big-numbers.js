@@ -4,20 +4,30 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const { MongoClient, Decimal128 } = require('mongodb');
+const { Decimal128 } = require('mongodb');
 const { faker } = require('@faker-js/faker');
 const { config, validateConfig, getDatabaseName } = require('./config');
+const { applyLocalFlag, isLocalMode, openDatabase, closeDatabase } = require('./local-mongo');
 
 class BigNumbersTest {
-    constructor() {
-        this.client = null;
-        this.db = null;
+    // options.client / options.db: an existing MongoClient or Db to share (left open on disconnect)
+    // options.connectionString / options.databaseName: connect somewhere other than the configured cluster
+    // options.collectionNames: { bigNumbers } overriding the default collection name
+    // options.local: run against a local mongod (default: MONGODB_MODE=local or --local)
+    constructor(options = {}) {
+        this.client = options.client || null;
+        this.db = options.db || null;
+        this.ownsClient = !this.client && !this.db;
+        this.localMode = this.ownsClient && (options.local !== undefined ? options.local : isLocalMode());
+        this.localDatabase = null;
+        this.connectionString = options.connectionString || config.database.connectionString;
+        this.databaseName = options.databaseName || (this.db ? this.db.databaseName : getDatabaseName());
         this.collection = null;
         this.config = config;
-        this.collectionName = 'big_numbers';
+        this.collectionName = (options.collectionNames && options.collectionNames.bigNumbers) || 'big_numbers';
 
         // Validate configuration on initialization
-        const configErrors = validateConfig();
+        const configErrors = validateConfig({ connectionString: this.connectionString, external: !this.ownsClient || this.localMode });
         if (configErrors.length > 0) {
             console.error('❌ Configuration errors detected:');
             configErrors.forEach(error => console.error(`  - ${error}`));
@@ -25,29 +35,21 @@ class BigNumbersTest {
         }
     }
 
+    // Open a client unless one (or a Db) was passed in, then bind the collection
     async connect() {
-        try {
-            this.client = new MongoClient(this.config.database.connectionString, this.config.database.options);
-            await this.client.connect();
-            this.db = this.client.db(getDatabaseName());
-            this.collection = this.db.collection(this.collectionName);
-
-            if (this.config.environment.enableDebugOutput) {
-                console.log(`🔗 Connected to: ${getDatabaseName()}.${this.collectionName}`);
-            } else {
-                console.log('✅ Connected to MongoDB Atlas');
-            }
-        } catch (error) {
-            console.error('❌ Connection failed:', error.message);
-            throw error;
-        }
+        // Nothing here needs Atlas Search or the newer aggregation stages; only the server is reported
+        await openDatabase(this, {
+            bind: db => {
+                this.collection = db.collection(this.collectionName);
+            },
+            checkVersions: false,
+            collectionNames: [this.collectionName]
+        });
     }
 
+    // Only a client this instance opened is closed; a shared client or Db stays usable
     async disconnect() {
-        if (this.client) {
-            await this.client.close();
-            console.log('🔌 Disconnected from MongoDB Atlas');
-        }
+        await closeDatabase(this);
     }
 
     // Create indexes for big numbers collection
@@ -396,8 +398,8 @@ class BigNumbersTest {
 
 // CLI Command Handler
 class BigNumbersCLI {
-    constructor() {
-        this.bigNumbers = new BigNumbersTest();
+    constructor(bigNumbers = new BigNumbersTest()) {
+        this.bigNumbers = bigNumbers;
     }
 
     async init() {
@@ -503,6 +505,9 @@ class BigNumbersCLI {
   node big-numbers.js clear
     Removes all documents from collection
 
+🏠 Local mode:
+  Add --local to any command (or set MONGODB_MODE=local) to use a local mongod instead of Atlas
+
 ❓ Help:
   node big-numbers.js help
 
@@ -522,11 +527,13 @@ class BigNumbersCLI {
 
 // Main execution
 async function main() {
+    // --local must be known before the CLI validates its connection settings
+    const argv = applyLocalFlag(process.argv);
     const cli = new BigNumbersCLI();
 
     try {
         await cli.init();
-        await cli.handleCommand(process.argv);
+        await cli.handleCommand(argv);
     } catch (error) {
         console.error('💥 Application error:', error.message);
     } finally {
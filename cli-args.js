@@ -0,0 +1,171 @@
+// cli-args.js - Argument parsing for the marketplace CLI
+// Each command declares its positional arguments and named flags; both forms map onto the same option
+// names, so "search RPG quota 1 10" and "search --category RPG --method quota --page 1 --limit 10" agree
+
+// Convert and validate one raw value against its option definition; label names it in errors
+function parseValue(name, raw, definition, label = `--${name}`) {
+    switch (definition.type) {
+        case 'int': {
+            if (!/^-?\d+$/.test(raw)) {
+                throw new Error(`Invalid value "${raw}" for ${label}: expected an integer`);
+            }
+            return checkRange(label, parseInt(raw, 10), definition);
+        }
+        case 'number': {
+            const value = Number(raw);
+            if (raw.trim() === '' || isNaN(value)) {
+                throw new Error(`Invalid value "${raw}" for ${label}: expected a number`);
+            }
+            return checkRange(label, value, definition);
+        }
+        case 'choice': {
+            if (!definition.choices.includes(raw)) {
+                throw new Error(`Unknown ${definition.label || name} "${raw}" for ${label}. Use: ${definition.choices.join(', ')}`);
+            }
+            return raw;
+        }
+        case 'boolean': {
+            // Only reached for values given as text, e.g. API query parameters and --filter values
+            if (raw !== 'true' && raw !== 'false') {
+                throw new Error(`Invalid value "${raw}" for ${label}: expected true or false`);
+            }
+            return raw === 'true';
+        }
+        case 'list': {
+            if (definition.allowAll && raw === 'all') {
+                return 'all';
+            }
+            const values = raw.split(',').filter(Boolean);
+            if (values.length === 0) {
+                throw new Error(`Missing value for ${label}`);
+            }
+            values.forEach(value => {
+                if (definition.choices && !definition.choices.includes(value)) {
+                    const choices = definition.allowAll ? [...definition.choices, 'all'] : definition.choices;
+                    throw new Error(`Unknown ${definition.label || name} "${value}" for ${label}. Use: ${choices.join(', ')}`);
+                }
+            });
+            return values;
+        }
+        default:
+            return raw;
+    }
+}
+
+function checkRange(label, value, definition) {
+    if (definition.min !== undefined && value < definition.min) {
+        throw new Error(`Invalid value ${value} for ${label}: must be at least ${definition.min}`);
+    }
+    if (definition.max !== undefined && value > definition.max) {
+        throw new Error(`Invalid value ${value} for ${label}: must be at most ${definition.max}`);
+    }
+    return value;
+}
+
+// Parse the tokens after the command name into { options, help }
+// Flags may be written "--name value" or "--name=value"; boolean flags take no value
+function parseCommandArgs(commandName, spec, tokens) {
+    const raw = {};
+    const positionalValues = [];
+    let help = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token === '--help' || token === '-h') {
+            help = true;
+            continue;
+        }
+
+        if (!token.startsWith('--')) {
+            positionalValues.push(token);
+            continue;
+        }
+
+        const [name, inlineValue] = token.slice(2).split(/=(.*)/s);
+        const definition = spec.options[name];
+        if (!definition) {
+            throw new Error(`Unknown option --${name} for "${commandName}". Run "node marketplace.js ${commandName} --help"`);
+        }
+        if (raw[name] !== undefined) {
+            throw new Error(`--${name} was given more than once`);
+        }
+
+        if (definition.type === 'boolean') {
+            if (inlineValue !== undefined) {
+                throw new Error(`--${name} does not take a value`);
+            }
+            raw[name] = true;
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : tokens[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${name}`);
+        }
+        raw[name] = value;
+    }
+
+    if (help) {
+        return { options: {}, help };
+    }
+
+    // Positional arguments fill the declared names in order, unless the flag was also given
+    const positionalNames = typeof spec.positional === 'function' ? spec.positional(positionalValues) : (spec.positional || []);
+    if (positionalValues.length > positionalNames.length) {
+        throw new Error(`Too many arguments for "${commandName}": ${positionalValues.slice(positionalNames.length).join(' ')}`);
+    }
+    positionalValues.forEach((value, i) => {
+        const name = positionalNames[i];
+        if (raw[name] !== undefined) {
+            throw new Error(`${name} was given both as an argument and as --${name}`);
+        }
+        raw[name] = value;
+    });
+
+    const options = {};
+    Object.entries(raw).forEach(([name, value]) => {
+        options[camelCase(name)] = spec.options[name].type === 'boolean' ? value : parseValue(name, value, spec.options[name]);
+    });
+
+    return { options, help };
+}
+
+// max-per-seller -> maxPerSeller
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// maxPerSeller -> max-per-seller
+function kebabCase(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Help text for one command
+function formatCommandHelp(commandName, spec) {
+    const lines = [`\nUsage: node marketplace.js ${spec.usage}`, '', `  ${spec.summary}`, '', 'Options:'];
+
+    const flags = Object.entries(spec.options).map(([name, definition]) => ({
+        flag: definition.type === 'boolean' ? `--${name}` : `--${name} <${definition.placeholder || definition.type}>`,
+        description: definition.description
+    }));
+    flags.push({ flag: '--format <table|json|ndjson|csv>', description: 'Output format (default: table)' });
+    flags.push({ flag: '--help', description: 'Show this help' });
+
+    const width = Math.max(...flags.map(entry => entry.flag.length));
+    flags.forEach(entry => lines.push(`  ${entry.flag.padEnd(width)}  ${entry.description}`));
+
+    if (spec.examples && spec.examples.length > 0) {
+        lines.push('', 'Examples:');
+        spec.examples.forEach(example => lines.push(`  node marketplace.js ${example}`));
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseValue,
+    parseCommandArgs,
+    formatCommandHelp,
+    kebabCase
+};
@@ -10,6 +10,20 @@ const config = {
         // Database and Collection Names
         databaseName: process.env.DB_NAME || 'marketplace_demo',
         collectionName: process.env.COLLECTION_NAME || 'offers',
+        eventsCollectionName: process.env.EVENTS_COLLECTION_NAME || 'events',
+        sellersCollectionName: process.env.SELLERS_COLLECTION_NAME || 'sellers',
+
+        // 'atlas' connects to connectionString; 'local' (or --local) runs offline against a local mongod
+        mode: process.env.MONGODB_MODE || 'atlas',
+        local: {
+            // 'auto' uses a mongod at uri when one answers and starts an embedded one otherwise;
+            // 'external' only uses uri, 'memory' always starts the embedded mongod (mongodb-memory-server)
+            server: process.env.MONGODB_LOCAL_SERVER || 'auto',
+            uri: process.env.MONGODB_LOCAL_URI || 'mongodb://127.0.0.1:27017',
+            connectTimeoutMS: 1500,
+            // The embedded mongod keeps its data here, so separate CLI runs see the same data
+            dataDirectory: process.env.MONGODB_LOCAL_DATA_DIR || `${__dirname}/.local-mongodb`
+        },
         
         // Connection Options
         options: {
@@ -33,12 +47,106 @@ const config = {
             maxSellersPerPage: 50
         },
         
+        // Weighted random distribution settings
+        weighted: {
+            // Sampling weight per offer, an aggregation expression over normalized (0-1) components:
+            // $inventoryScore (1 / seller's offer count), $ratingScore, $recencyScore (halves every
+            // recencyHalfLifeDays; with a seed, 1 = newest offer in the result set) and $priceScore
+            // (1 = cheapest in the result set)
+            weightExpression: {
+                $add: [
+                    { $multiply: [1.0, '$inventoryScore'] },
+                    { $multiply: [0.5, '$ratingScore'] },
+                    { $multiply: [0.3, '$recencyScore'] },
+                    { $multiply: [0.2, '$priceScore'] }
+                ]
+            },
+            recencyHalfLifeDays: 7,
+            maxRating: 5,
+            minWeight: 0.001 // Floor so every offer keeps a chance of being drawn
+        },
+
+        // Quality-aware round-robin settings
+        qualityRoundRobin: {
+            // 0 = order sellers in each round by average rating only, 1 = by Thompson-sampled CTR only
+            explorationWeight: 0.3,
+            engagementLookbackDays: 7, // Impression/click history used for the CTR samples
+            priorStrength: 20 // Pseudo-impressions of marketplace-average CTR given to every seller
+        },
+
+        // Seller profiles (sellers collection)
+        sellers: {
+            // Tiers with their share of seeded sellers
+            tiers: [
+                { name: 'standard', seedWeight: 6 },
+                { name: 'silver', seedWeight: 3 },
+                { name: 'gold', seedWeight: 1 }
+            ],
+            // Quota-based maxPerSeller per tier; tiers not listed use the requested maxPerSeller
+            tierQuotas: { silver: 3, gold: 4 },
+            useTierQuotas: false,
+            regions: ['NA', 'EU', 'APAC', 'LATAM'],
+            seedVerifiedShare: 0.6,
+            seedSuspendedShare: 0.1
+        },
+
+        // Stock-aware ranking defaults; the excludeOutOfStock/demoteLowStock filters override them per query
+        stock: {
+            excludeOutOfStock: false,
+            demoteLowStock: false,
+            lowStockThreshold: 3, // Offers with this many units or fewer count as low stock
+            lowStockWeightFactor: 0.25 // Weighted random weight multiplier for low-stock offers when demoted
+        },
+
         // Quota-based distribution settings
         quota: {
             defaultMaxOffersPerSeller: 2,
             maxMaxOffersPerSeller: 10
         },
         
+        // Keyword search settings
+        search: {
+            // 'auto' uses Atlas Search when available and falls back to the $text index, 'atlas' or 'text' forces one
+            mode: process.env.SEARCH_MODE || 'auto',
+            atlasIndexName: process.env.ATLAS_SEARCH_INDEX || 'offers_search',
+            fuzzyMaxEdits: 1, // Typos tolerated per term (Atlas Search only)
+            relevanceWeight: 0 // 0 = order each seller's offers by rating, 1 = by keyword relevance only
+        },
+
+        // Seller diversity constraint applied on top of any distribution method
+        diversity: {
+            minGap: 0, // Other offers required between two offers of one seller (0 = off, 1 = no adjacent)
+            chunkSize: 50, // Offers fetched from the underlying method per round trip
+            maxLookahead: 200 // Buffered offers searched for another seller before the constraint is relaxed
+        },
+
+        // Distribution strategy plugins
+        distribution: {
+            // Every .js file here is registered as a strategy (see distribution-registry.js); a missing directory is ignored
+            pluginDirectory: process.env.DISTRIBUTION_PLUGIN_DIR || `${__dirname}/plugins`
+        },
+
+        // Sponsored placement settings
+        sponsorship: {
+            enabled: true,
+            slots: [1, 6], // 1-based page positions reserved for sponsored offers
+            maxSponsoredPerSeller: 1, // Sponsored slots a single seller can win on one page
+            maxOffersPerSellerPerPage: 3, // Organic + sponsored offers a sponsored seller may have on one page
+            maxCandidates: 50, // Highest bids considered per page
+            seedShare: 0.1 // Share of seeded offers given a sponsorship campaign
+        },
+
+        // Shopper session simulation settings (simulate command)
+        simulation: {
+            defaultSessions: 1000,
+            defaultSeedIntervals: 24, // Seed intervals replayed, e.g. 24 one-hour shuffles for a day
+            maxPageDepth: 10,
+            // Chance a shopper reaches page k: 'geometric' = rate^(k-1), 'power' = k^-rate
+            pageDepthDecay: { curve: 'geometric', rate: 0.5 },
+            topSlots: 10,
+            clickProbability: 0.15 // Click chance in the first slot with --track, decaying with position
+        },
+
         // Sample data generation settings
         seeding: {
             defaultOfferCount: 100,
@@ -46,7 +154,19 @@ const config = {
             gameCategories: ['RPG', 'FPS', 'Strategy', 'Sports', 'Racing', 'Adventure', 'Simulation', 'Puzzle'],
             priceRange: { min: 10, max: 100 },
             stockRange: { min: 1, max: 50 },
-            dataRetentionDays: 30
+            dataRetentionDays: 30,
+            sellerDistribution: 'uniform', // 'uniform' or 'power-law' offers per seller
+            powerLawExponent: 1.2, // Seller at rank r gets weight 1 / r^exponent
+
+            // Daily inventory churn used by "seed --mode day", as shares of the current offers
+            churn: {
+                newListingsShare: 0.1,
+                salesShare: 0.3,
+                sellOutShare: 0.2, // Share of sales that take the whole remaining stock
+                priceChangeShare: 0.15,
+                maxPriceChange: 0.2, // +/- 20%
+                delistShare: 0.03
+            }
         }
     },
 
@@ -60,9 +180,28 @@ const config = {
             { key: { price: 1 }, name: 'price_idx' },
             { key: { rating: -1 }, name: 'rating_idx' },
             { key: { gameCategory: 1, sellerId: 1, createdAt: -1 }, name: 'compound_roundrobin_idx' },
-            { key: { createdAt: -1 }, name: 'date_idx' }
+            { key: { createdAt: -1 }, name: 'date_idx' },
+            // Keep filtered distribution queries index-backed (category + one filter field)
+            { key: { gameCategory: 1, price: 1 }, name: 'category_price_idx' },
+            { key: { gameCategory: 1, rating: -1 }, name: 'category_rating_idx' },
+            { key: { gameCategory: 1, stock: 1 }, name: 'category_stock_idx' },
+            { key: { gameCategory: 1, tags: 1 }, name: 'category_tags_idx' },
+            { key: { gameCategory: 1, 'sponsorship.bid': -1 }, name: 'category_sponsorship_idx', sparse: true },
+            // Local keyword search fallback when Atlas Search is unavailable
+            { key: { title: 'text', description: 'text' }, name: 'offer_text_idx', weights: { title: 3, description: 1 } }
         ],
         
+        // Impression and click events (report command)
+        eventIndexes: [
+            { key: { createdAt: -1 }, name: 'event_date_idx' },
+            { key: { method: 1, createdAt: -1 }, name: 'event_method_date_idx' },
+            { key: { sellerId: 1, createdAt: -1 }, name: 'event_seller_date_idx' }
+        ],
+        sellerIndexes: [
+            { key: { status: 1 }, name: 'seller_status_idx' },
+            { key: { tier: 1 }, name: 'seller_tier_idx' }
+        ],
+
         // Aggregation pipeline settings
         aggregation: {
             allowDiskUse: true,
@@ -77,6 +216,13 @@ const config = {
         enableDebugOutput: process.env.DEBUG === 'true'
     },
 
+    // HTTP API (server.js)
+    server: {
+        port: parseInt(process.env.PORT, 10) || 3000,
+        host: process.env.HOST || '0.0.0.0',
+        maxComparePages: 10 // Upper bound for /compare?pages=, each page runs every method
+    },
+
     // CLI Display Settings
     display: {
         resultsTableWidth: 80,
@@ -87,12 +233,23 @@ const config = {
 };
 
 // Validation function to check required configurations
-function validateConfig() {
+// connection.connectionString checks a URI passed in code instead of the configured one;
+// connection.external skips the URI check when the caller supplies its own MongoClient or Db
+function validateConfig(connection = {}) {
     const errors = [];
 
     // Check database connection string
-    if (!config.database.connectionString || config.database.connectionString.includes('username:password')) {
-        errors.push('MongoDB connection string is not properly configured. Please set MONGODB_URI environment variable.');
+    const connectionString = connection.connectionString || config.database.connectionString;
+    if (!connection.external && (!connectionString || connectionString.includes('username:password'))) {
+        errors.push('MongoDB connection string is not properly configured. Please set MONGODB_URI environment variable, or run offline with --local (MONGODB_MODE=local).');
+    }
+
+    // Check connection mode
+    if (!['atlas', 'local'].includes(config.database.mode)) {
+        errors.push(`Unknown MONGODB_MODE "${config.database.mode}". Use: atlas, local`);
+    }
+    if (!['auto', 'external', 'memory'].includes(config.database.local.server)) {
+        errors.push(`Unknown MONGODB_LOCAL_SERVER "${config.database.local.server}". Use: auto, external, memory`);
     }
 
     // Check database name
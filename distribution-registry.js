@@ -0,0 +1,170 @@
+// distribution-registry.js - Registry of seller distribution strategies
+// A strategy is a plain object:
+//   {
+//     name: 'my-method',                 // CLI/API name (lowercase, dashes)
+//     label: 'My Method',                // Display name used by compare and debug
+//     description: 'One line for help',
+//     params: { maxPerSeller: { type: 'int', min: 1, description: '...' } },  // Extra parameters (cli-args types)
+//     positionalParams: ['maxPerSeller'], // Params that "search" also accepts positionally, before the seed
+//     compareOptions: { maxPerSeller: 3 }, // Options used when the strategy runs in "compare"
+//     run: async (collection, query, page, limit, options) => result
+//   }
+// run receives the offers collection, query = { gameCategory, filters }, and options holding the seed,
+// the strategy's params and `marketplace` (the FairMarketplace, for helpers such as buildOfferPipeline
+// and aggregatePage). It returns { offers, pagination: { page, limit, total, totalPages, hasNextPage,
+// hasPrevPage }, method } plus anything else worth showing (seed, filters, ...).
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+const STRATEGY_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+class DistributionRegistry {
+    constructor() {
+        this.strategies = new Map();
+        this.aliases = new Map();
+    }
+
+    // Add a strategy; names and aliases must be unique
+    register(strategy) {
+        if (!strategy || typeof strategy !== 'object') {
+            throw new Error('Strategy must be an object');
+        }
+        if (typeof strategy.name !== 'string' || !STRATEGY_NAME_PATTERN.test(strategy.name)) {
+            throw new Error(`Invalid strategy name "${strategy.name}": use lowercase letters, digits and dashes`);
+        }
+        if (typeof strategy.run !== 'function') {
+            throw new Error(`Strategy "${strategy.name}" must have a run(collection, query, page, limit, options) function`);
+        }
+
+        const names = [strategy.name, ...(strategy.aliases || [])];
+        names.forEach(name => {
+            if (this.get(name)) {
+                throw new Error(`Strategy "${name}" is already registered`);
+            }
+        });
+
+        this.strategies.set(strategy.name, {
+            label: strategy.name,
+            description: '',
+            params: {},
+            positionalParams: [],
+            compareOptions: {},
+            ...strategy
+        });
+        (strategy.aliases || []).forEach(alias => this.aliases.set(alias, strategy.name));
+        return this;
+    }
+
+    get(name) {
+        return this.strategies.get(name) || this.strategies.get(this.aliases.get(name)) || null;
+    }
+
+    // Registered strategies in registration order (built-ins first, then plugins by file name)
+    list() {
+        return [...this.strategies.values()];
+    }
+
+    names() {
+        return [...this.strategies.keys()];
+    }
+
+    // Names and aliases, for validating user input
+    acceptedNames() {
+        return [...this.strategies.keys(), ...this.aliases.keys()];
+    }
+
+    // Register every .js file in a plugin directory; each exports one strategy or an array of them
+    // A missing directory is not an error, a broken plugin is reported and skipped
+    loadPluginDirectory(directory) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        const loaded = [];
+        fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => {
+                try {
+                    const exported = require(path.join(directory, file));
+                    (Array.isArray(exported) ? exported : [exported]).forEach(strategy => {
+                        this.register(strategy);
+                        loaded.push(strategy.name);
+                    });
+                } catch (error) {
+                    console.error(`❌ Skipping distribution plugin ${file}:`, error.message);
+                }
+            });
+        return loaded;
+    }
+}
+
+// Strategies that ship with the marketplace; each delegates to its FairMarketplace method
+const BUILTIN_STRATEGIES = [
+    {
+        name: 'hash-round-robin',
+        aliases: ['round-robin'],
+        label: 'Hash Round-Robin',
+        description: 'Seeded seller shuffle; each seller\'s offers are grouped (supports --cursor)',
+        run: (collection, query, page, limit, options) => options.marketplace.getOffersHashRoundRobin(
+            query.gameCategory, page, limit, options.seed, options.cursor, query.filters)
+    },
+    {
+        name: 'true-round-robin',
+        label: 'True Round-Robin',
+        description: 'Deals one offer per seller per round, computed server-side',
+        run: (collection, query, page, limit, options) => options.marketplace.getOffersTrueRoundRobin(
+            query.gameCategory, page, limit, options.seed, query.filters)
+    },
+    {
+        name: 'weighted',
+        label: 'Weighted Random',
+        description: 'Samples offers by config.app.weighted.weightExpression (seed makes draws reproducible)',
+        run: (collection, query, page, limit, options) => options.marketplace.getOffersWeightedRandom(
+            query.gameCategory, page, limit, options.seed, query.filters)
+    },
+    {
+        name: 'quota',
+        label: 'Quota-Based',
+        description: 'At most maxPerSeller offers per seller, in a seeded seller order',
+        params: {
+            maxPerSeller: {
+                type: 'int',
+                min: 1,
+                max: config.app.quota.maxMaxOffersPerSeller,
+                description: `Quota per seller (default: ${config.app.quota.defaultMaxOffersPerSeller})`
+            },
+            tierQuotas: { type: 'boolean', description: 'Use the tier quota overrides' }
+        },
+        positionalParams: ['maxPerSeller'],
+        compareOptions: { maxPerSeller: 3 },
+        run: (collection, query, page, limit, options) => options.marketplace.getOffersQuotaBased(
+            query.gameCategory, page, limit, options.maxPerSeller, options.seed, query.filters,
+            options.tierQuotas !== undefined ? options.tierQuotas : null)
+    },
+    {
+        name: 'quality-round-robin',
+        label: 'Quality Round-Robin',
+        description: 'Round-robin with rounds ordered by rating and sampled CTR',
+        run: (collection, query, page, limit, options) => options.marketplace.getOffersQualityRoundRobin(
+            query.gameCategory, page, limit, options.seed, query.filters)
+    }
+];
+
+// Registry with the built-in strategies and any plugins from the given directory
+function createDistributionRegistry(pluginDirectory = null) {
+    const registry = new DistributionRegistry();
+    BUILTIN_STRATEGIES.forEach(strategy => registry.register(strategy));
+    if (pluginDirectory) {
+        registry.loadPluginDirectory(pluginDirectory);
+    }
+    return registry;
+}
+
+module.exports = {
+    DistributionRegistry,
+    BUILTIN_STRATEGIES,
+    createDistributionRegistry
+};
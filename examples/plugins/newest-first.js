@@ -0,0 +1,55 @@
+// newest-first.js - Example distribution strategy plugin
+// Copy into the plugin directory (config.app.distribution.pluginDirectory, ./plugins by default) and it
+// shows up in search, compare, debug and help. Newest listings first, at most maxPerSeller per seller:
+// an unshuffled baseline to compare the fair methods against.
+
+module.exports = {
+    name: 'newest-first',
+    label: 'Newest First',
+    description: 'Newest offers first, capped per seller (example plugin)',
+    params: {
+        maxPerSeller: { type: 'int', min: 1, description: 'Quota per seller' }
+    },
+    compareOptions: { maxPerSeller: 3 },
+
+    async run(collection, query, page, limit, options) {
+        const marketplace = options.marketplace;
+        limit = limit || marketplace.config.app.defaultPageSize;
+        const maxPerSeller = options.maxPerSeller || marketplace.config.app.quota.defaultMaxOffersPerSeller;
+        const skip = (page - 1) * limit;
+
+        // buildOfferPipeline applies the category, filters, keyword search and suspended-seller exclusion
+        const pipeline = [
+            ...await marketplace.buildOfferPipeline(query.gameCategory, query.filters),
+            {
+                $setWindowFields: {
+                    partitionBy: "$sellerId",
+                    sortBy: { createdAt: -1 },
+                    output: { sellerRank: { $documentNumber: {} } }
+                }
+            },
+            { $match: { sellerRank: { $lte: maxPerSeller } } }
+        ];
+
+        const { offers, totalCount } = await marketplace.aggregatePage(pipeline, [
+            { $sort: { createdAt: -1, _id: 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { sellerRank: 0 } }
+        ]);
+
+        return {
+            offers,
+            pagination: {
+                page,
+                limit,
+                total: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasNextPage: page * limit < totalCount,
+                hasPrevPage: page > 1
+            },
+            filters: query.filters,
+            method: `Newest First (max ${maxPerSeller} per seller)`
+        };
+    }
+};
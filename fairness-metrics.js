@@ -0,0 +1,111 @@
+// fairness-metrics.js - Fairness metrics for comparing seller distribution methods
+// All functions are pure: they take offer lists / per-seller counts and return numbers
+
+// Gini coefficient of a list of non-negative values (0 = perfectly equal, 1 = one value holds everything)
+function giniCoefficient(values) {
+    const n = values.length;
+    const total = values.reduce((a, b) => a + b, 0);
+    if (n === 0 || total === 0) {
+        return 0;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const weightedSum = sorted.reduce((sum, value, i) => sum + (i + 1) * value, 0);
+
+    return (2 * weightedSum) / (n * total) - (n + 1) / n;
+}
+
+// Shannon entropy in bits of the distribution described by a list of non-negative values
+function shannonEntropy(values) {
+    const total = values.reduce((a, b) => a + b, 0);
+    if (total === 0) {
+        return 0;
+    }
+
+    return values.reduce((entropy, value) => {
+        if (value === 0) {
+            return entropy;
+        }
+        const p = value / total;
+        return entropy - p * Math.log2(p);
+    }, 0);
+}
+
+// Largest share held by a single value (1 / n = perfectly equal, 1 = monopoly)
+function maxShare(values) {
+    const total = values.reduce((a, b) => a + b, 0);
+    if (total === 0) {
+        return 0;
+    }
+
+    return Math.max(...values) / total;
+}
+
+// DCG-style attention weight of a 1-based result position: top slots count more than deep ones
+function positionWeight(position) {
+    return 1 / Math.log2(position + 1);
+}
+
+// Compute every fairness metric for a ranked list of offers spanning the first N pages
+// inventoryBySeller maps sellerId -> number of offers the seller has in the category,
+// so sellers that received no impressions still count towards inequality
+function computeFairnessMetrics(offers, inventoryBySeller = {}) {
+    const impressions = {};
+    const exposure = {};
+
+    Object.keys(inventoryBySeller).forEach(sellerId => {
+        impressions[sellerId] = 0;
+        exposure[sellerId] = 0;
+    });
+
+    offers.forEach((offer, index) => {
+        impressions[offer.sellerId] = (impressions[offer.sellerId] || 0) + 1;
+        exposure[offer.sellerId] = (exposure[offer.sellerId] || 0) + positionWeight(index + 1);
+    });
+
+    const sellerIds = Object.keys(impressions);
+    const impressionCounts = sellerIds.map(sellerId => impressions[sellerId]);
+    const exposureValues = sellerIds.map(sellerId => exposure[sellerId]);
+
+    // Exposure share divided by inventory share: 1.0 means exposure proportional to inventory
+    const totalExposure = exposureValues.reduce((a, b) => a + b, 0);
+    const totalInventory = Object.values(inventoryBySeller).reduce((a, b) => a + b, 0);
+    const exposureInventoryRatio = {};
+    sellerIds.forEach(sellerId => {
+        const inventory = inventoryBySeller[sellerId] || 0;
+        if (inventory > 0 && totalExposure > 0) {
+            exposureInventoryRatio[sellerId] = (exposure[sellerId] / totalExposure) / (inventory / totalInventory);
+        }
+    });
+
+    const ratios = Object.values(exposureInventoryRatio);
+    const entropy = shannonEntropy(impressionCounts);
+
+    return {
+        offersEvaluated: offers.length,
+        sellersInCategory: sellerIds.length,
+        sellersShown: impressionCounts.filter(count => count > 0).length,
+        gini: giniCoefficient(impressionCounts),
+        entropy,
+        normalizedEntropy: sellerIds.length > 1 ? entropy / Math.log2(sellerIds.length) : 1,
+        maxShare: maxShare(impressionCounts),
+        exposureGini: giniCoefficient(exposureValues),
+        exposureInventory: {
+            min: ratios.length > 0 ? Math.min(...ratios) : 0,
+            max: ratios.length > 0 ? Math.max(...ratios) : 0,
+            // Mean absolute deviation from 1.0 (0 = exposure exactly proportional to inventory)
+            disparity: ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + Math.abs(ratio - 1), 0) / ratios.length : 0
+        },
+        impressions,
+        exposure,
+        exposureInventoryRatio
+    };
+}
+
+module.exports = {
+    giniCoefficient,
+    shannonEntropy,
+    maxShare,
+    positionWeight,
+    computeFairnessMetrics
+};
@@ -0,0 +1,203 @@
+// local-mongo.js - Offline mode: run the demos against a local mongod instead of Atlas
+// Enabled with MONGODB_MODE=local or --local. Uses a mongod already answering at config.database.local.uri,
+// otherwise starts an embedded one (mongodb-memory-server) that keeps its data between runs.
+// Also holds the connect/disconnect logic the demo classes share, Atlas or local
+
+const fs = require('fs');
+const { MongoClient } = require('mongodb');
+const { config } = require('./config');
+
+// Server features the demos rely on that an older local mongod lacks
+const VERSIONED_FEATURES = [
+    {
+        feature: '$setWindowFields (MongoDB 5.0+)',
+        minVersion: [5, 0],
+        impact: 'true-round-robin, weighted, quota and quality-round-robin fail'
+    },
+    {
+        feature: '$toHashedIndexKey (MongoDB 6.0+)',
+        minVersion: [6, 0],
+        impact: 'hash-round-robin, true-round-robin, quota and weighted with a seed fail (sellers and offers are hashed by the server)'
+    }
+];
+
+// --local is the command-line form of MONGODB_MODE=local; returns the arguments without it
+function applyLocalFlag(args) {
+    if (args.includes('--local')) {
+        config.database.mode = 'local';
+    }
+    return args.filter(arg => arg !== '--local');
+}
+
+function isLocalMode() {
+    return config.database.mode === 'local';
+}
+
+// Find or start a local mongod; returns { uri, embedded, dataDirectory, stop() }
+async function startLocalDatabase(settings = config.database.local) {
+    if (settings.server !== 'memory') {
+        const client = new MongoClient(settings.uri, { serverSelectionTimeoutMS: settings.connectTimeoutMS });
+        try {
+            await client.connect();
+            await client.db('admin').command({ ping: 1 });
+            return { uri: settings.uri, embedded: false, dataDirectory: null, stop: async () => {} };
+        } catch (error) {
+            if (settings.server === 'external') {
+                throw new Error(`No mongod answering at ${settings.uri}: ${error.message}`);
+            }
+        } finally {
+            await client.close();
+        }
+    }
+
+    try {
+        await ensureMongodBinary();
+    } catch (error) {
+        throw new Error(`No mongod answering at ${settings.uri} and the embedded one cannot start: ${error.message}`);
+    }
+
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    fs.mkdirSync(settings.dataDirectory, { recursive: true });
+    const server = await MongoMemoryServer.create({
+        instance: { dbPath: settings.dataDirectory, storageEngine: 'wiredTiger' }
+    });
+
+    // A custom dbPath survives stop(), which is what lets "seed" and "search" run as separate commands
+    return { uri: server.getUri(), embedded: true, dataDirectory: settings.dataDirectory, stop: () => server.stop() };
+}
+
+// Path of a mongod for the embedded server: MONGOMS_SYSTEM_BINARY, the cached download, or a first-time download
+// The first two are checked without touching the network; MONGOMS_RUNTIME_DOWNLOAD=false rules out the third.
+// Offline without a binary this is one clear error instead of a download failure deep inside a run
+async function ensureMongodBinary() {
+    let memoryServer;
+    try {
+        memoryServer = require('mongodb-memory-server');
+    } catch (error) {
+        throw new Error('mongodb-memory-server is not installed (npm install mongodb-memory-server)');
+    }
+    const { DryMongoBinary, MongoBinary } = memoryServer;
+
+    let binary;
+    try {
+        binary = await DryMongoBinary.locateBinary(await DryMongoBinary.generateOptions());
+    } catch (error) {
+        throw new Error(`MONGOMS_SYSTEM_BINARY does not point at a usable mongod (${error.message})`);
+    }
+    if (binary) {
+        return binary;
+    }
+
+    try {
+        return await MongoBinary.getPath();
+    } catch (error) {
+        throw new Error(`no mongod binary is cached and it could not be downloaded (${error.message.replace(/\s+/g, ' ').trim()}). ` +
+            'Set MONGOMS_SYSTEM_BINARY=/path/to/mongod, or run once with network access to cache it');
+    }
+}
+
+// Atlas-only and version-dependent features this server lacks
+// atlasSearch: the result of probing $search (null when the caller does not use it);
+// checkVersions: whether the caller uses the marketplace aggregation stages in VERSIONED_FEATURES
+async function detectDegradedFeatures(db, { atlasSearch = null, checkVersions = true } = {}) {
+    const { version } = await db.admin().command({ buildInfo: 1 });
+    const [major, minor] = version.split('.').map(Number);
+
+    const degraded = [];
+    if (atlasSearch === false) {
+        degraded.push({
+            feature: 'Atlas Search ($search)',
+            impact: 'keyword search uses the local $text index: no fuzzy matching, relevance from the text score'
+        });
+    }
+    VERSIONED_FEATURES.forEach(({ feature, minVersion, impact }) => {
+        if (checkVersions && (major < minVersion[0] || (major === minVersion[0] && minor < minVersion[1]))) {
+            degraded.push({ feature, impact });
+        }
+    });
+
+    return { version, degraded };
+}
+
+// Print where local mode is connected and which features are degraded
+function reportLocalMode(localDatabase, { version, degraded }, print = console.log) {
+    const server = localDatabase.embedded
+        ? `embedded mongod, data in ${localDatabase.dataDirectory}`
+        : `mongod at ${localDatabase.uri}`;
+    print(`🏠 Local mode: ${server} (MongoDB ${version})`);
+
+    if (degraded.length === 0) {
+        print('✅ No Atlas-only features degraded');
+        return;
+    }
+    print('⚠️ Degraded features:');
+    degraded.forEach(({ feature, impact }) => print(`  - ${feature}: ${impact}`));
+}
+
+// Connect one of the demo classes; state is the instance, with { client, db, ownsClient, localMode, connectionString,
+// databaseName }. A client or Db it was given is used as is, otherwise it opens and owns a client, starting a local
+// mongod first in local mode. Sets state.db and state.localDatabase and returns the degraded features (local mode only)
+// options.bind(db): binds the caller's collections before the local-mode report
+// options.atlasSearch(): async, whether $search works, for callers that use it; options.checkVersions as detectDegradedFeatures
+// options.collectionNames: listed with enableDebugOutput; options.print / options.reportTo: where messages go
+async function openDatabase(state, options = {}) {
+    const { bind = () => {}, atlasSearch = null, checkVersions = true, collectionNames = [], print = console.log } = options;
+    const reportTo = options.reportTo || print;
+
+    // Errors are left to the caller, which reports them once
+    if (!state.db) {
+        if (!state.client) {
+            if (state.localMode) {
+                state.localDatabase = await startLocalDatabase();
+                state.connectionString = state.localDatabase.uri;
+            }
+            state.client = new MongoClient(state.connectionString, config.database.options);
+            await state.client.connect();
+        }
+        state.db = state.client.db(state.databaseName);
+    }
+    bind(state.db);
+
+    if (config.environment.enableDebugOutput) {
+        print(`🔗 Connected to: ${state.databaseName}`);
+        print(`📋 Collections: ${collectionNames.join(', ')}`);
+    } else {
+        print(state.localDatabase ? '✅ Connected to local MongoDB' : '✅ Connected to MongoDB Atlas');
+    }
+
+    // Say up front which Atlas-only features the local server lacks; shown even with --format
+    if (!state.localDatabase) {
+        return null;
+    }
+    const degraded = await detectDegradedFeatures(state.db, {
+        atlasSearch: atlasSearch ? await atlasSearch() : null,
+        checkVersions
+    });
+    reportLocalMode(state.localDatabase, degraded, reportTo);
+    return degraded;
+}
+
+// Only a client the instance opened is closed; a shared client or Db stays usable
+async function closeDatabase(state, print = console.log) {
+    if (state.client && state.ownsClient) {
+        await state.client.close();
+        state.client = null;
+        state.db = null;
+        print(state.localDatabase ? '🔌 Disconnected from local MongoDB' : '🔌 Disconnected from MongoDB Atlas');
+    }
+    if (state.localDatabase) {
+        await state.localDatabase.stop();
+        state.localDatabase = null;
+    }
+}
+
+module.exports = {
+    applyLocalFlag,
+    isLocalMode,
+    startLocalDatabase,
+    ensureMongodBinary,
+    detectDegradedFeatures,
+    reportLocalMode,
+    openDatabase,
+    closeDatabase
+};
@@ -4,19 +4,56 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
+const path = require('path');
+const { ObjectId } = require('mongodb');
 const { faker } = require('@faker-js/faker');
 const { config, validateConfig, getDatabaseName } = require('./config');
+const { computeFairnessMetrics, giniCoefficient, positionWeight } = require('./fairness-metrics');
+const { parseValue, parseCommandArgs, formatCommandHelp, kebabCase } = require('./cli-args');
+const { createDistributionRegistry } = require('./distribution-registry');
+const { applyLocalFlag, isLocalMode, openDatabase, closeDatabase } = require('./local-mongo');
+
+const ALL_CATEGORIES = 'all';
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'];
 
 class FairMarketplace {
-    constructor() {
-        this.client = null;
-        this.db = null;
+    // options.client: an existing MongoClient to share (it is left open on disconnect)
+    // options.db: an existing Db to use directly, e.g. one the embedding service already holds
+    // options.connectionString / options.databaseName: connect somewhere other than the configured cluster
+    // options.collectionNames: { offers, events, sellers } overriding the configured collection names
+    // options.local: run against a local mongod (default: MONGODB_MODE=local or --local)
+    constructor(options = {}) {
+        this.client = options.client || null;
+        this.db = options.db || null;
+        this.ownsClient = !this.client && !this.db;
+        this.localMode = this.ownsClient && (options.local !== undefined ? options.local : isLocalMode());
+        this.localDatabase = null;
+        this.degradedFeatures = null;
+        this.connectionString = options.connectionString || config.database.connectionString;
+        this.databaseName = options.databaseName || (this.db ? this.db.databaseName : getDatabaseName());
+        this.collectionNames = {
+            offers: config.database.collectionName,
+            events: config.database.eventsCollectionName,
+            sellers: config.database.sellersCollectionName,
+            ...options.collectionNames
+        };
         this.collection = null;
+        this.eventsCollection = null;
+        this.sellersCollection = null;
         this.config = config;
 
+        // Silences decorative console output while the CLI prints machine-readable results
+        this.quiet = false;
+
+        // Whether $search works on this cluster; probed on the first keyword query
+        this.atlasSearchAvailable = null;
+
+        // Distribution strategies: the built-ins plus any plugins in config.app.distribution.pluginDirectory
+        this.registry = createDistributionRegistry(path.resolve(config.app.distribution.pluginDirectory));
+
         // Validate configuration on initialization
-        const configErrors = validateConfig();
+        const configErrors = validateConfig({ connectionString: this.connectionString, external: !this.ownsClient || this.localMode });
         if (configErrors.length > 0) {
             console.error('❌ Configuration errors detected:');
             configErrors.forEach(error => console.error(`  - ${error}`));
@@ -24,29 +61,31 @@ class FairMarketplace {
         }
     }
 
-    async connect() {
-        try {
-            this.client = new MongoClient(this.config.database.connectionString, this.config.database.options);
-            await this.client.connect();
-            this.db = this.client.db(getDatabaseName());
-            this.collection = this.db.collection(this.config.database.collectionName);
-
-            if (this.config.environment.enableDebugOutput) {
-                console.log(`🔗 Connected to: ${getDatabaseName()}.${this.config.database.collectionName}`);
-            } else {
-                console.log('✅ Connected to MongoDB Atlas');
-            }
-        } catch (error) {
-            console.error('❌ Connection failed:', error.message);
-            throw error;
+    // Decorative console output, skipped while quiet
+    log(...args) {
+        if (!this.quiet) {
+            console.log(...args);
         }
     }
 
+    // Open a client unless one (or a Db) was passed in, then bind the collections
+    async connect() {
+        this.degradedFeatures = await openDatabase(this, {
+            bind: db => {
+                this.collection = db.collection(this.collectionNames.offers);
+                this.eventsCollection = db.collection(this.collectionNames.events);
+                this.sellersCollection = db.collection(this.collectionNames.sellers);
+            },
+            atlasSearch: async () => (await this.resolveSearchMode()) === 'atlas',
+            collectionNames: Object.values(this.collectionNames),
+            print: message => this.log(message),
+            reportTo: this.quiet ? console.error : console.log
+        });
+    }
+
+    // Only a client this instance opened is closed; a shared client or Db stays usable
     async disconnect() {
-        if (this.client) {
-            await this.client.close();
-            console.log('🔌 Disconnected from MongoDB Atlas');
-        }
+        await closeDatabase(this, message => this.log(message));
     }
 
     // Initialize indexes for optimal performance
@@ -54,29 +93,90 @@ class FairMarketplace {
         try {
             // Use indexes from configuration
             await this.collection.createIndexes(this.config.performance.indexes);
-            console.log('✅ Indexes created successfully');
+            await this.eventsCollection.createIndexes(this.config.performance.eventIndexes);
+            await this.sellersCollection.createIndexes(this.config.performance.sellerIndexes);
+            this.log('✅ Indexes created successfully');
         } catch (error) {
             console.error('❌ Index creation failed:', error);
         }
     }
 
     // Generate sample data
-    async seedData(numOffers = null, numSellers = null) {
+    // options.mode: 'reset' wipes and reseeds, 'append' adds offers (and any missing sellers) to what is there
+    // options.sellerDistribution: 'uniform' or 'power-law' (a few large sellers, a long tail of small ones)
+    // options.fakerSeed makes the generated data repeatable (timestamps stay relative to the time of the run)
+    async seedData(numOffers = null, numSellers = null, options = {}) {
         // Use config defaults if not specified
         numOffers = numOffers || this.config.app.seeding.defaultOfferCount;
         numSellers = numSellers || this.config.app.seeding.defaultSellerCount;
+        const mode = options.mode || 'reset';
+        const sellerDistribution = options.sellerDistribution || this.config.app.seeding.sellerDistribution;
+
+        if (!['reset', 'append'].includes(mode)) {
+            throw new Error(`Unknown seed mode "${mode}". Use: reset, append, day`);
+        }
+        if (options.fakerSeed !== undefined && options.fakerSeed !== null) {
+            faker.seed(options.fakerSeed);
+        }
 
-        const gameCategories = this.config.app.seeding.gameCategories;
         const sellers = Array.from({ length: numSellers }, (_, i) => `seller_${i + 1}`);
+        const sellerProfiles = sellers.map(sellerId => this.generateSellerProfile(sellerId));
+
+        try {
+            let firstOfferNumber = 1;
+            if (mode === 'reset') {
+                await this.collection.deleteMany({});
+                await this.sellersCollection.deleteMany({});
+                await this.sellersCollection.insertMany(sellerProfiles);
+            } else {
+                firstOfferNumber = await this.getLastOfferNumber() + 1;
+                // Existing profiles are kept as they are; only sellers that do not exist yet are added
+                await this.sellersCollection.bulkWrite(sellerProfiles.map(profile => ({
+                    updateOne: { filter: { _id: profile._id }, update: { $setOnInsert: profile }, upsert: true }
+                })), { ordered: false });
+            }
+
+            const offers = this.generateOffers(numOffers, sellers, firstOfferNumber, sellerDistribution);
+            await this.collection.insertMany(offers);
+
+            const suspended = await this.sellersCollection.countDocuments({ _id: { $in: sellers }, status: 'suspended' });
+            const action = mode === 'reset' ? 'Seeded' : 'Appended';
+            this.log(`✅ ${action} ${numOffers} offers from ${numSellers} sellers (${sellerDistribution}, ${suspended} suspended)`);
+
+            return {
+                mode,
+                offers: numOffers,
+                sellers: numSellers,
+                sellerDistribution,
+                suspendedSellers: suspended,
+                firstOfferId: `offer_${firstOfferNumber}`,
+                lastOfferId: `offer_${firstOfferNumber + numOffers - 1}`
+            };
+        } catch (error) {
+            console.error('❌ Seeding failed:', error);
+            throw error;
+        }
+    }
+
+    // Generate offers offer_<firstOfferNumber>.. for the given sellers
+    generateOffers(count, sellers, firstOfferNumber = 1, sellerDistribution = 'uniform') {
+        const gameCategories = this.config.app.seeding.gameCategories;
+
+        // Power-law: the seller at rank r gets weight 1 / r^exponent
+        const exponent = this.config.app.seeding.powerLawExponent;
+        const weightedSellers = sellers.map((sellerId, i) => ({
+            value: sellerId,
+            weight: sellerDistribution === 'power-law' ? 1 / Math.pow(i + 1, exponent) : 1
+        }));
 
         const offers = [];
 
-        for (let i = 0; i < numOffers; i++) {
+        for (let i = 0; i < count; i++) {
             const gameCategory = faker.helpers.arrayElement(gameCategories);
-            const sellerId = faker.helpers.arrayElement(sellers);
+            const sellerId = faker.helpers.weightedArrayElement(weightedSellers);
 
             offers.push({
-                _id: `offer_${i + 1}`,
+                _id: `offer_${firstOfferNumber + i}`,
                 title: faker.commerce.productName(),
                 gameCategory,
                 sellerId,
@@ -85,7 +185,7 @@ class FairMarketplace {
                     max: this.config.app.seeding.priceRange.max
                 })),
                 description: faker.commerce.productDescription(),
-                rating: parseFloat((Math.random() * 5).toFixed(1)),
+                rating: faker.number.float({ min: 0, max: 5, multipleOf: 0.1 }),
                 stock: faker.number.int({
                     min: this.config.app.seeding.stockRange.min,
                     max: this.config.app.seeding.stockRange.max
@@ -93,77 +193,581 @@ class FairMarketplace {
                 createdAt: faker.date.recent({ days: this.config.app.seeding.dataRetentionDays }),
                 tags: faker.helpers.arrayElements(['multiplayer', 'singleplayer', 'co-op', 'pvp', 'pve'], { min: 1, max: 3 })
             });
+
+            // A share of offers run a sponsorship campaign so sponsored slots have something to show
+            if (faker.datatype.boolean({ probability: this.config.app.sponsorship.seedShare })) {
+                const startAt = faker.date.recent({ days: 3 });
+                offers[offers.length - 1].sponsorship = {
+                    budget: faker.number.int({ min: 5, max: 50 }),
+                    bid: faker.number.float({ min: 0.05, max: 0.5, multipleOf: 0.01 }),
+                    spent: 0,
+                    impressions: 0,
+                    startAt,
+                    endAt: faker.date.soon({ days: 14, refDate: startAt })
+                };
+            }
         }
 
+        return offers;
+    }
+
+    // Highest N among offer_N ids, so appended offers never collide with existing ones
+    async getLastOfferNumber() {
+        const [last] = await this.collection.aggregate([
+            { $match: { _id: { $regex: /^offer_\d+$/ } } },
+            { $group: { _id: null, max: { $max: { $toInt: { $substrCP: ["$_id", 6, 20] } } } } }
+        ]).toArray();
+
+        return last ? last.max : 0;
+    }
+
+    // Simulate marketplace days on the existing inventory: existing offers age by a day, new listings
+    // arrive, sales draw stock down (some to 0), prices move and some offers are delisted
+    async simulateMarketplaceDays(days = 1, options = {}) {
+        const churn = this.config.app.seeding.churn;
+        const sellerDistribution = options.sellerDistribution || this.config.app.seeding.sellerDistribution;
+        if (options.fakerSeed !== undefined && options.fakerSeed !== null) {
+            faker.seed(options.fakerSeed);
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const totals = { listed: 0, sales: 0, soldOut: 0, priceChanges: 0, delisted: 0 };
+
         try {
-            await this.collection.deleteMany({});
-            await this.collection.insertMany(offers);
-            console.log(`✅ Seeded ${numOffers} offers from ${numSellers} sellers`);
+            const sellers = (await this.sellersCollection.find({}, { projection: { _id: 1 } }).sort({ _id: 1 }).toArray())
+                .map(seller => seller._id);
+            if (sellers.length === 0) {
+                throw new Error('No sellers found. Run "node marketplace.js seed" first.');
+            }
+            // Keep power-law ranks stable: seller_2 before seller_10
+            sellers.sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+
+            for (let day = 0; day < days; day++) {
+                // Age the existing inventory by one day
+                await this.collection.updateMany({}, [
+                    { $set: { createdAt: { $subtract: ["$createdAt", dayMs] } } }
+                ]);
+
+                // Sorted ids so the same faker seed picks the same offers
+                const offers = await this.collection
+                    .find({}, { projection: { price: 1, stock: 1 } })
+                    .sort({ _id: 1 })
+                    .toArray();
+                const operations = [];
+
+                const delisted = faker.helpers.arrayElements(offers, Math.round(offers.length * churn.delistShare));
+                const delistedIds = new Set(delisted.map(offer => offer._id));
+                delisted.forEach(offer => operations.push({ deleteOne: { filter: { _id: offer._id } } }));
+                const listed = offers.filter(offer => !delistedIds.has(offer._id));
+
+                // Sales only hit offers that still have stock
+                const inStock = listed.filter(offer => offer.stock > 0);
+                faker.helpers.arrayElements(inStock, Math.round(inStock.length * churn.salesShare)).forEach(offer => {
+                    const sold = faker.datatype.boolean({ probability: churn.sellOutShare })
+                        ? offer.stock
+                        : faker.number.int({ min: 1, max: Math.max(1, Math.ceil(offer.stock / 2)) });
+                    operations.push({ updateOne: { filter: { _id: offer._id }, update: { $inc: { stock: -sold } } } });
+                    totals.sales++;
+                    if (sold === offer.stock) {
+                        totals.soldOut++;
+                    }
+                });
+
+                faker.helpers.arrayElements(listed, Math.round(listed.length * churn.priceChangeShare)).forEach(offer => {
+                    const change = faker.number.float({ min: -churn.maxPriceChange, max: churn.maxPriceChange });
+                    const price = Math.max(this.config.app.seeding.priceRange.min, parseFloat((offer.price * (1 + change)).toFixed(2)));
+                    operations.push({ updateOne: { filter: { _id: offer._id }, update: { $set: { price } } } });
+                    totals.priceChanges++;
+                });
+
+                if (operations.length > 0) {
+                    await this.collection.bulkWrite(operations, { ordered: false });
+                }
+
+                // New listings are created during the simulated day
+                const newListings = this.generateOffers(
+                    Math.max(1, Math.round(offers.length * churn.newListingsShare)),
+                    sellers,
+                    await this.getLastOfferNumber() + 1,
+                    sellerDistribution
+                );
+                newListings.forEach(offer => {
+                    offer.createdAt = faker.date.recent({ days: 1 });
+                });
+                await this.collection.insertMany(newListings);
+
+                totals.listed += newListings.length;
+                totals.delisted += delisted.length;
+            }
+
+            this.log(`✅ Simulated ${days} marketplace day(s): +${totals.listed} listed, ${totals.sales} sales (${totals.soldOut} sold out), ${totals.priceChanges} price changes, -${totals.delisted} delisted`);
+            return { mode: 'day', days, ...totals };
         } catch (error) {
-            console.error('❌ Seeding failed:', error);
+            console.error('❌ Marketplace day simulation failed:', error);
+            throw error;
+        }
+    }
+
+    // Generate a seller profile document; _id is the sellerId stored on offers
+    generateSellerProfile(sellerId) {
+        const settings = this.config.app.sellers;
+        const suspended = faker.datatype.boolean({ probability: settings.seedSuspendedShare });
+
+        return {
+            _id: sellerId,
+            name: faker.company.name(),
+            joinedAt: faker.date.past({ years: 3 }),
+            tier: faker.helpers.weightedArrayElement(settings.tiers.map(tier => ({ value: tier.name, weight: tier.seedWeight }))),
+            verified: faker.datatype.boolean({ probability: settings.seedVerifiedShare }),
+            status: suspended ? 'suspended' : 'active',
+            suspendedAt: suspended ? faker.date.recent({ days: 30 }) : null,
+            homeRegion: faker.helpers.arrayElement(settings.regions)
+        };
+    }
+
+    // Sellers whose offers must not be shown by any distribution method
+    async getSuspendedSellerIds() {
+        return this.sellersCollection.distinct('_id', { status: 'suspended' });
+    }
+
+    // Build the $match shared by every distribution method from a category and a filter object:
+    // { minPrice, maxPrice, minRating, inStock, tags, createdAfter, createdBefore }
+    // gameCategory may be one category, an array of categories, or 'all' / null for every category
+    buildOfferQuery(gameCategory, filters = {}) {
+        const query = {};
+        if (Array.isArray(gameCategory)) {
+            query.gameCategory = gameCategory.length === 1 ? gameCategory[0] : { $in: gameCategory };
+        } else if (gameCategory && gameCategory !== ALL_CATEGORIES) {
+            query.gameCategory = gameCategory;
+        }
+
+        if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+            if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+                throw new Error('Filter minPrice cannot be greater than maxPrice');
+            }
+            query.price = {};
+            if (filters.minPrice !== undefined) query.price.$gte = filters.minPrice;
+            if (filters.maxPrice !== undefined) query.price.$lte = filters.maxPrice;
+        }
+
+        if (filters.minRating !== undefined) {
+            query.rating = { $gte: filters.minRating };
+        }
+
+        if (filters.inStock || this.stockOption(filters, 'excludeOutOfStock')) {
+            query.stock = { $gt: 0 };
+        }
+
+        // Offers must carry every requested tag
+        if (filters.tags && filters.tags.length > 0) {
+            query.tags = { $all: filters.tags };
+        }
+
+        if (filters.createdAfter || filters.createdBefore) {
+            query.createdAt = {};
+            if (filters.createdAfter) query.createdAt.$gte = new Date(filters.createdAfter);
+            if (filters.createdBefore) query.createdAt.$lte = new Date(filters.createdBefore);
+        }
+
+        return query;
+    }
+
+    // Stock behaviour for a query: the filter value when given, the config default otherwise
+    stockOption(filters, name) {
+        return filters[name] !== undefined ? filters[name] : this.config.app.stock[name];
+    }
+
+    // Decide once per connection whether keyword queries use Atlas Search or the local $text index
+    async resolveSearchMode() {
+        const mode = this.config.app.search.mode;
+        if (mode === 'text') {
+            return 'text';
+        }
+
+        if (this.atlasSearchAvailable === null) {
+            try {
+                await this.collection.aggregate([
+                    { $search: { index: this.config.app.search.atlasIndexName, exists: { path: 'title' } } },
+                    { $limit: 1 }
+                ]).toArray();
+                this.atlasSearchAvailable = true;
+            } catch (error) {
+                if (mode === 'atlas') {
+                    throw new Error(`Atlas Search is not available: ${error.message}`);
+                }
+                this.atlasSearchAvailable = false;
+                this.log('⚠️ Atlas Search unavailable, using the local $text index (no fuzzy matching)');
+            }
+        }
+
+        return this.atlasSearchAvailable ? 'atlas' : 'text';
+    }
+
+    // Leading pipeline stages selecting the offers a distribution method works on
+    // A keyword (filters.keyword) becomes a fuzzy $search stage on Atlas, or a $text match locally
+    async buildOfferPipeline(gameCategory, filters = {}) {
+        const query = this.buildOfferQuery(gameCategory, filters);
+
+        const suspendedSellerIds = await this.getSuspendedSellerIds();
+        if (suspendedSellerIds.length > 0) {
+            query.sellerId = { $nin: suspendedSellerIds };
+        }
+
+        if (!filters.keyword) {
+            return [{ $match: query }];
+        }
+
+        const searchSettings = this.config.app.search;
+        if (await this.resolveSearchMode() === 'atlas') {
+            return [
+                {
+                    $search: {
+                        index: searchSettings.atlasIndexName,
+                        text: {
+                            query: filters.keyword,
+                            path: ['title', 'description'],
+                            fuzzy: { maxEdits: searchSettings.fuzzyMaxEdits }
+                        }
+                    }
+                },
+                { $match: query }
+            ];
+        }
+
+        return [{ $match: { ...query, $text: { $search: filters.keyword } } }];
+    }
+
+    // Run the shared stages once and return both the requested page and the number of offers
+    // the method can reach across all pages, in a single round trip
+    async aggregatePage(pipeline, pageStages) {
+        const [facets] = await this.collection.aggregate([
+            ...pipeline,
+            { $facet: { offers: pageStages, total: [{ $count: "count" }] } }
+        ], this.config.performance.aggregation).toArray();
+
+        return { offers: facets.offers, totalCount: facets.total.length > 0 ? facets.total[0].count : 0 };
+    }
+
+    // Add offerScore, the order of offers within a seller: rating, or with a keyword and
+    // relevanceWeight > 0 a blend of normalized relevance and rating
+    // With demoteLowStock, offers at or below the low-stock threshold sort behind all of the seller's other offers
+    offerScoreStages(matchStages, filters = {}) {
+        const relevanceWeight = filters.relevanceWeight !== undefined ? filters.relevanceWeight : this.config.app.search.relevanceWeight;
+        const scoreStages = !filters.keyword || !relevanceWeight
+            ? [{ $addFields: { offerScore: "$rating" } }]
+            : this.relevanceScoreStages(matchStages, relevanceWeight);
+
+        if (this.stockOption(filters, 'demoteLowStock')) {
+            // Scores never exceed maxRating, so subtracting more than that puts every low-stock offer last
+            const demotion = this.config.app.weighted.maxRating + 1;
+            scoreStages.push({
+                $addFields: {
+                    offerScore: {
+                        $cond: [
+                            { $lte: ["$stock", this.config.app.stock.lowStockThreshold] },
+                            { $subtract: ["$offerScore", demotion] },
+                            "$offerScore"
+                        ]
+                    }
+                }
+            });
         }
+
+        return scoreStages;
+    }
+
+    // offerScore blending normalized keyword relevance with rating
+    relevanceScoreStages(matchStages, relevanceWeight) {
+        // The same scale offerScoreStages uses for the low-stock demotion
+        const maxRating = this.config.app.weighted.maxRating;
+        return [
+            { $addFields: { relevance: { $meta: matchStages[0].$search ? 'searchScore' : 'textScore' } } },
+            { $setWindowFields: { output: { maxRelevance: { $max: "$relevance" } } } },
+            {
+                $addFields: {
+                    offerScore: {
+                        $add: [
+                            { $multiply: [relevanceWeight, { $divide: ["$relevance", "$maxRelevance"] }] },
+                            { $multiply: [1 - relevanceWeight, { $divide: ["$rating", maxRating] }] }
+                        ]
+                    }
+                }
+            },
+            { $project: { maxRelevance: 0 } }
+        ];
     }
 
     // Method 1: Hash-Based Round-Robin Distribution
-    async getOffersHashRoundRobin(gameCategory, page = 1, limit = null, randomSeed = null) {
+    // Pass the nextCursor from a previous result to continue with keyset pagination
+    async getOffersHashRoundRobin(gameCategory, page = 1, limit = null, randomSeed = null, cursor = null, filters = {}) {
         limit = limit || this.config.app.defaultPageSize;
+        // A cursor pins the seed it was issued with, so a seed rollover mid-session cannot reshuffle results
+        const position = cursor ? this.decodeCursor(cursor) : null;
+        if (position) {
+            page = position.page;
+        }
         const skip = (page - 1) * limit;
 
         // Use timestamp-based seed for pagination stability
         const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
-        const seed = randomSeed || Math.floor(Date.now() / seedInterval);
+        const seed = position ? position.seed : (randomSeed || Math.floor(Date.now() / seedInterval));
 
         try {
-            const pipeline = [
-                // Match game category
-                { $match: { gameCategory } },
+            const matchStages = await this.buildOfferPipeline(gameCategory, filters);
+            const scoreStages = this.offerScoreStages(matchStages, filters);
+
+            // Match game category, filters and keyword
+            const pipeline = [...matchStages];
+
+            // Keyset pagination: sellers the previous pages finished are dropped on sellerId (category_seller_idx)
+            // before anything is scored or sorted, so a deep page does less work than the first one
+            if (position) {
+                const shuffle = await this.getSellerShuffle(matchStages, seed);
+                const remainingSellers = shuffle.sellerIds.filter((sellerId, i) => shuffle.hashes[i] >= position.sellerHash);
+                const sellerMatch = { $match: { sellerId: { $in: remainingSellers } } };
+
+                // Keyword relevance is normalized over the whole result set, so it is scored before the set shrinks
+                if (scoreStages.some(stage => stage.$setWindowFields)) {
+                    pipeline.push(...scoreStages, sellerMatch);
+                } else {
+                    pipeline.push(sellerMatch, ...scoreStages);
+                }
+            } else {
+                pipeline.push(...scoreStages);
+            }
 
-                // Add seller hash for fair distribution
-                {
-                    $addFields: {
-                        sellerHash: {
-                            $mod: [
-                                {
-                                    $multiply: [
-                                        {
-                                            $add: [
-                                                {
-                                                    $toInt: {
-                                                        $cond: {
-                                                            if: { $gt: [{ $strLenCP: "$sellerId" }, 7] },
-                                                            then: { $substr: ["$sellerId", 7, -1] },
-                                                            else: "1"
-                                                        }
-                                                    }
-                                                },
-                                                seed
-                                            ]
-                                        },
-                                        { $add: [seed, 37] } // Use seed+37 as multiplier for better scrambling
-                                    ]
-                                },
-                                10000
-                            ]
+            // Add seller hash for fair distribution
+            pipeline.push({
+                $addFields: {
+                    sellerHash: this.sellerHashExpression(seed),
+                    seedUsed: seed
+                }
+            });
+
+            const pageStages = [];
+
+            // Resume strictly after the last offer of the previous page
+            if (position) {
+                pageStages.push({ $match: this.buildCursorMatch(position) });
+            }
+
+            // Sort by seller hash (for distribution) then by quality, _id keeps ties deterministic
+            pageStages.push({ $sort: { sellerHash: 1, offerScore: -1, createdAt: -1, _id: 1 } });
+
+            // // Remove helper field
+            // { $project: { sellerHash: 0 } },
+
+            // Apply pagination (one extra offer tells us whether another page exists)
+            if (!position) {
+                pageStages.push({ $skip: skip });
+            }
+            pageStages.push({ $limit: limit + 1 });
+
+            // The total travels in the cursor, so continuing a listing never counts the category again
+            let offers;
+            let totalCount;
+            if (position && position.total !== undefined) {
+                offers = await this.collection.aggregate([...pipeline, ...pageStages], this.config.performance.aggregation).toArray();
+                totalCount = position.total;
+            } else {
+                ({ offers, totalCount } = await this.aggregatePage(pipeline, pageStages));
+            }
+
+            const hasNextPage = offers.length > limit;
+            if (hasNextPage) {
+                offers.pop();
+            }
+
+            return {
+                offers,
+                pagination: {
+                    page,
+                    limit,
+                    total: totalCount,
+                    totalPages: Math.ceil(totalCount / limit),
+                    hasNextPage,
+                    hasPrevPage: page > 1,
+                    nextCursor: hasNextPage ? this.encodeCursor(offers[offers.length - 1], seed, page + 1, totalCount) : null
+                },
+                seed,
+                filters,
+                method: 'Hash-Based Round-Robin'
+            };
+        } catch (error) {
+            console.error('❌ Hash round-robin query failed:', error);
+            throw error;
+        }
+    }
+
+    // Encode the sort key of the last offer on a page as an opaque continuation token
+    encodeCursor(offer, seed, nextPage, total) {
+        const position = {
+            seed,
+            page: nextPage,
+            total,
+            sellerHash: offer.sellerHash,
+            offerScore: offer.offerScore,
+            createdAt: offer.createdAt instanceof Date ? offer.createdAt.toISOString() : offer.createdAt,
+            id: offer._id instanceof ObjectId ? { $oid: offer._id.toHexString() } : offer._id
+        };
+
+        return Buffer.from(JSON.stringify(position)).toString('base64url');
+    }
+
+    // Decode a continuation token produced by encodeCursor
+    decodeCursor(cursor) {
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid pagination cursor');
+        }
+
+        if (!position || typeof position.seed !== 'number' || typeof position.sellerHash !== 'number' ||
+            !Number.isInteger(position.page) || position.id === undefined ||
+            (position.total !== undefined && !Number.isInteger(position.total))) {
+            throw new Error('Invalid pagination cursor');
+        }
+
+        return {
+            ...position,
+            createdAt: position.createdAt ? new Date(position.createdAt) : position.createdAt,
+            id: position.id && position.id.$oid ? new ObjectId(position.id.$oid) : position.id
+        };
+    }
+
+    // Match offers that sort after the cursor position ({ sellerHash: 1, offerScore: -1, createdAt: -1, _id: 1 })
+    buildCursorMatch(position) {
+        return {
+            $or: [
+                { sellerHash: { $gt: position.sellerHash } },
+                { sellerHash: position.sellerHash, offerScore: { $lt: position.offerScore } },
+                { sellerHash: position.sellerHash, offerScore: position.offerScore, createdAt: { $lt: position.createdAt } },
+                { sellerHash: position.sellerHash, offerScore: position.offerScore, createdAt: position.createdAt, _id: { $gt: position.id } }
+            ]
+        };
+    }
+
+    // Seeded shuffle computed in JavaScript: HMAC-SHA256(seed, id) gives every seed an independent, uniform
+    // permutation of any IDs. Orders categories in balanced feeds; offer pipelines rank sellers server-side
+    computeSellerShuffle(sellerIds, seed) {
+        const hashes = sellerIds.map(sellerId => crypto
+            .createHmac('sha256', String(seed))
+            .update(String(sellerId))
+            .digest()
+            .readUIntBE(0, 6)); // 48 bits stays exact as a BSON double
+
+        const order = sellerIds
+            .map((sellerId, i) => ({ sellerId, hash: hashes[i] }))
+            .sort((a, b) => a.hash - b.hash);
+
+        return { sellerIds, hashes, order: order.map(entry => entry.sellerId) };
+    }
+
+    // Shuffle the sellers that have offers selected by buildOfferPipeline stages, hashed by the server
+    // exactly as sellerHashExpression hashes them inside the offer pipelines; sellerIds come back in order
+    async getSellerShuffle(matchStages, seed) {
+        const sellers = await this.collection.aggregate([
+            ...matchStages,
+            { $group: { _id: "$sellerId" } },
+            { $project: { hash: this.sellerHashExpression(seed, "$_id") } },
+            { $sort: { hash: 1, _id: 1 } }
+        ]).toArray();
+
+        const sellerIds = sellers.map(seller => seller._id);
+        return { sellerIds, hashes: sellers.map(seller => seller.hash), order: sellerIds };
+    }
+
+    // Seeded hash of the current offer's seller, computed per document without any seller list
+    // seed may be a value or an expression; 48 bits stays exact as a BSON double ($toHashedIndexKey requires MongoDB 6.0+)
+    sellerHashExpression(seed, sellerIdField = "$sellerId") {
+        return {
+            $abs: {
+                $mod: [
+                    { $toHashedIndexKey: { $concat: [{ $toString: seed }, ":", { $toString: sellerIdField }] } },
+                    Math.pow(2, 48)
+                ]
+            }
+        };
+    }
+
+    // Stages giving each offer roundRobinPosition = rank within seller * seller count + seller order,
+    // so sorting by it interleaves sellers exactly like dealing cards; sellerOrderExpression ranks sellers
+    roundRobinStages(sellerOrderExpression) {
+        return [
+            // Rank each offer within its seller (0 = seller's best offer)
+            {
+                $setWindowFields: {
+                    partitionBy: "$sellerId",
+                    sortBy: { offerScore: -1, createdAt: -1, _id: 1 },
+                    output: {
+                        sellerRank: { $sum: 1, window: { documents: ["unbounded", "current"] } }
+                    }
+                }
+            },
+            {
+                $addFields: {
+                    sellerRank: { $subtract: ["$sellerRank", 1] },
+                    sellerOrder: sellerOrderExpression
+                }
+            },
+
+            // Number sellers by their order; each seller's best offer marks where it starts
+            {
+                $setWindowFields: {
+                    sortBy: { sellerOrder: 1, sellerId: 1, sellerRank: 1 },
+                    output: {
+                        sellerIndex: {
+                            $sum: { $cond: [{ $eq: ["$sellerRank", 0] }, 1, 0] },
+                            window: { documents: ["unbounded", "current"] }
                         },
-                        seedUsed: seed
+                        sellerCount: {
+                            $sum: { $cond: [{ $eq: ["$sellerRank", 0] }, 1, 0] },
+                            window: { documents: ["unbounded", "unbounded"] }
+                        }
                     }
-                },
+                }
+            },
+            {
+                $addFields: {
+                    roundRobinPosition: {
+                        $add: [
+                            { $multiply: ["$sellerRank", "$sellerCount"] },
+                            { $subtract: ["$sellerIndex", 1] }
+                        ]
+                    }
+                }
+            }
+        ];
+    }
+
+    // Method 2: True Round-Robin computed server-side
+    // Sellers follow the seeded shuffle and only the requested page is returned
+    async getOffersTrueRoundRobin(gameCategory, page = 1, limit = null, randomSeed = null, filters = {}) {
+        limit = limit || this.config.app.defaultPageSize;
+        const skip = (page - 1) * limit;
+
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const seed = randomSeed || Math.floor(Date.now() / seedInterval);
 
-                // Sort by seller hash (for distribution) then by quality
-                { $sort: { sellerHash: 1, rating: -1, createdAt: -1 } },
+        try {
+            const matchStages = await this.buildOfferPipeline(gameCategory, filters);
 
-                // // Remove helper field
-                // { $project: { sellerHash: 0 } },
+            const pipeline = [
+                ...matchStages,
+                ...this.offerScoreStages(matchStages, filters),
 
-                // Apply pagination
-                { $skip: skip },
-                { $limit: limit }
+                ...this.roundRobinStages(this.sellerHashExpression(seed))
             ];
 
-            const options = this.config.performance.aggregation;
-            const offers = await this.collection.aggregate(pipeline, options).toArray();
+            const { offers, totalCount } = await this.aggregatePage(pipeline, [
+                { $sort: { roundRobinPosition: 1 } },
+                { $skip: skip },
+                { $limit: limit },
 
-            const totalCount = await this.collection.countDocuments({ gameCategory });
+                // Clean up helper fields
+                { $project: { sellerRank: 0, sellerOrder: 0, sellerIndex: 0, sellerCount: 0 } }
+            ]);
 
             return {
                 offers,
@@ -176,16 +780,18 @@ class FairMarketplace {
                     hasPrevPage: page > 1
                 },
                 seed,
-                method: 'Hash-Based Round-Robin'
+                filters,
+                method: 'True Round-Robin (Server-Side)'
             };
         } catch (error) {
-            console.error('❌ Hash round-robin query failed:', error);
+            console.error('❌ True round-robin query failed:', error);
             throw error;
         }
     }
 
-    // Method 2: True Round-Robin using JavaScript processing
-    async getOffersTrueRoundRobin(gameCategory, page = 1, limit = null, randomSeed = null) {
+    // Previous True Round-Robin implementation, interleaving every offer in JavaScript
+    // Kept only as a baseline for benchmarkTrueRoundRobin; loads the whole category into memory
+    async getOffersTrueRoundRobinInMemory(gameCategory, page = 1, limit = null, randomSeed = null, filters = {}) {
         limit = limit || this.config.app.defaultPageSize;
         const skip = (page - 1) * limit;
 
@@ -193,28 +799,24 @@ class FairMarketplace {
         const seed = randomSeed || Math.floor(Date.now() / seedInterval);
 
         try {
+            const matchStages = await this.buildOfferPipeline(gameCategory, filters);
+
             // Get all offers grouped by seller
             const pipeline = [
-                { $match: { gameCategory } },
-                { $sort: { rating: -1, createdAt: -1 } },
+                ...matchStages,
+                ...this.offerScoreStages(matchStages, filters),
+                { $sort: { offerScore: -1, createdAt: -1, _id: 1 } },
                 {
                     $group: {
                         _id: "$sellerId",
                         offers: { $push: "$$ROOT" },
-                        sellerOrder: {
-                            $first: {
-                                $mod: [
-                                    { $add: [{ $toInt: { $substr: ["$sellerId", 7, -1] } }, seed] },
-                                    1000
-                                ]
-                            }
-                        }
+                        sellerOrder: { $first: this.sellerHashExpression(seed) }
                     }
                 },
-                { $sort: { sellerOrder: 1 } }
+                { $sort: { sellerOrder: 1, _id: 1 } }
             ];
 
-            const sellerGroups = await this.collection.aggregate(pipeline).toArray();
+            const sellerGroups = await this.collection.aggregate(pipeline, this.config.performance.aggregation).toArray();
 
             // Perform true round-robin distribution
             const roundRobinOffers = [];
@@ -232,7 +834,7 @@ class FairMarketplace {
             // Apply pagination
             const paginatedOffers = roundRobinOffers.slice(skip, skip + limit);
 
-            const totalCount = await this.collection.countDocuments({ gameCategory });
+            const totalCount = roundRobinOffers.length;
 
             return {
                 offers: paginatedOffers,
@@ -245,76 +847,109 @@ class FairMarketplace {
                     hasPrevPage: page > 1
                 },
                 seed,
+                filters,
                 method: 'True Round-Robin (JavaScript)'
             };
         } catch (error) {
-            console.error('❌ True round-robin query failed:', error);
+            console.error('❌ In-memory true round-robin query failed:', error);
             throw error;
         }
     }
 
     // Method 3: Weighted Random Distribution
-    async getOffersWeightedRandom(gameCategory, page = 1, limit = null) {
+    // Offers are sampled with probability proportional to config.app.weighted.weightExpression
+    // (Efraimidis-Spirakis keys: random^(1/weight), highest first); a seed makes the draw reproducible
+    async getOffersWeightedRandom(gameCategory, page = 1, limit = null, randomSeed = null, filters = {}) {
         limit = limit || this.config.app.defaultPageSize;
         const skip = (page - 1) * limit;
 
+        const weighted = this.config.app.weighted;
+
+        // A seeded draw measures recency from the newest matching offer, so the same seed ranks the same
+        // offers identically at any time; an unseeded draw measures it from the start of the seed interval
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const recencyAnchor = randomSeed ? "$newestCreatedAt" : new Date(Math.floor(Date.now() / seedInterval) * seedInterval);
+
         try {
+            const matchStages = await this.buildOfferPipeline(gameCategory, filters);
             const pipeline = [
-                { $match: { gameCategory } },
+                ...matchStages,
 
-                // Get seller statistics
+                // Seller inventory size without a self-lookup: count offers per seller partition
                 {
-                    $lookup: {
-                        from: this.config.database.collectionName,
-                        let: { currentSeller: "$sellerId", currentCategory: "$gameCategory" },
-                        pipeline: [
-                            {
-                                $match: {
-                                    $expr: {
-                                        $and: [
-                                            { $eq: ["$sellerId", "$$currentSeller"] },
-                                            { $eq: ["$gameCategory", "$$currentCategory"] }
-                                        ]
-                                    }
-                                }
-                            },
-                            { $count: "count" }
-                        ],
-                        as: "sellerStats"
+                    $setWindowFields: {
+                        partitionBy: "$sellerId",
+                        output: { sellerOfferCount: { $sum: 1 } }
+                    }
+                },
+                {
+                    $setWindowFields: {
+                        output: {
+                            categoryMinPrice: { $min: "$price" },
+                            categoryMaxPrice: { $max: "$price" },
+                            newestCreatedAt: { $max: "$createdAt" }
+                        }
                     }
                 },
 
-                // Add weighted score
+                // Normalized weight components (0-1) available to the weight expression
                 {
                     $addFields: {
-                        sellerOfferCount: { $arrayElemAt: ["$sellerStats.count", 0] },
-                        randomScore: { $rand: {} }
+                        inventoryScore: { $divide: [1, "$sellerOfferCount"] },
+                        ratingScore: { $divide: ["$rating", weighted.maxRating] },
+                        recencyScore: {
+                            $pow: [0.5, { $divide: [{ $subtract: [recencyAnchor, "$createdAt"] }, weighted.recencyHalfLifeDays * 24 * 60 * 60 * 1000] }]
+                        },
+                        priceScore: {
+                            $cond: [
+                                { $gt: ["$categoryMaxPrice", "$categoryMinPrice"] },
+                                {
+                                    $subtract: [1, {
+                                        $divide: [
+                                            { $subtract: ["$price", "$categoryMinPrice"] },
+                                            { $subtract: ["$categoryMaxPrice", "$categoryMinPrice"] }
+                                        ]
+                                    }]
+                                },
+                                1
+                            ]
+                        },
+                        randomScore: randomSeed ? this.seededRandomExpression(randomSeed) : { $rand: {} }
                     }
                 },
-
-                // Weight inversely to seller's offer count
                 {
                     $addFields: {
-                        weightedScore: {
-                            $add: [
-                                { $multiply: ["$randomScore", 100] },
-                                { $divide: [100, { $add: ["$sellerOfferCount", 1] }] }
+                        weight: {
+                            $multiply: [
+                                { $max: [weighted.weightExpression, weighted.minWeight] },
+                                // Low-stock offers are drawn less often when demoteLowStock is on
+                                this.stockOption(filters, 'demoteLowStock')
+                                    ? { $cond: [{ $lte: ["$stock", this.config.app.stock.lowStockThreshold] }, this.config.app.stock.lowStockWeightFactor, 1] }
+                                    : 1
                             ]
                         }
                     }
                 },
+                {
+                    $addFields: {
+                        weightedScore: { $pow: ["$randomScore", { $divide: [1, "$weight"] }] }
+                    }
+                }
+            ];
 
-                { $sort: { weightedScore: -1 } },
+            const { offers, totalCount } = await this.aggregatePage(pipeline, [
+                { $sort: { weightedScore: -1, _id: 1 } },
                 { $skip: skip },
                 { $limit: limit },
 
                 // Clean up helper fields
-                { $project: { sellerStats: 0, sellerOfferCount: 0, randomScore: 0, weightedScore: 0 } }
-            ];
-
-            const options = this.config.performance.aggregation;
-            const offers = await this.collection.aggregate(pipeline, options).toArray();
-            const totalCount = await this.collection.countDocuments({ gameCategory });
+                {
+                    $project: {
+                        sellerOfferCount: 0, categoryMinPrice: 0, categoryMaxPrice: 0, newestCreatedAt: 0, inventoryScore: 0,
+                        ratingScore: 0, recencyScore: 0, priceScore: 0, randomScore: 0, weight: 0, weightedScore: 0
+                    }
+                }
+            ]);
 
             return {
                 offers,
@@ -326,6 +961,8 @@ class FairMarketplace {
                     hasNextPage: page * limit < totalCount,
                     hasPrevPage: page > 1
                 },
+                seed: randomSeed || undefined,
+                filters,
                 method: 'Weighted Random Distribution'
             };
         } catch (error) {
@@ -334,10 +971,31 @@ class FairMarketplace {
         }
     }
 
+    // Deterministic pseudo-random number in (0, 1) per offer and seed, a reproducible stand-in for $rand
+    // ($toHashedIndexKey requires MongoDB 6.0+)
+    seededRandomExpression(seed) {
+        const range = 1000000000;
+        return {
+            $divide: [
+                {
+                    $add: [
+                        { $abs: { $mod: [{ $toHashedIndexKey: { $concat: [String(seed), ":", { $toString: "$_id" }] } }, range] } },
+                        1
+                    ]
+                },
+                range + 1
+            ]
+        };
+    }
+
     // Method 4: Quota-Based Distribution
-    async getOffersQuotaBased(gameCategory, page = 1, limit = null, maxPerSeller = null) {
+    // Each seller contributes at most maxPerSeller offers; sellers follow the seeded shuffle, so
+    // every page of a session is cut from the same ordering
+    // With tierQuotas, sellers in a tier listed in config.app.sellers.tierQuotas use that tier's quota instead
+    async getOffersQuotaBased(gameCategory, page = 1, limit = null, maxPerSeller = null, randomSeed = null, filters = {}, tierQuotas = null) {
         limit = limit || this.config.app.defaultPageSize;
         maxPerSeller = maxPerSeller || this.config.app.quota.defaultMaxOffersPerSeller;
+        tierQuotas = tierQuotas !== null ? tierQuotas : this.config.app.sellers.useTierQuotas;
 
         // Validate maxPerSeller
         if (maxPerSeller > this.config.app.quota.maxMaxOffersPerSeller) {
@@ -346,43 +1004,111 @@ class FairMarketplace {
 
         const skip = (page - 1) * limit;
 
+        // Use timestamp-based seed for pagination stability
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const seed = randomSeed || Math.floor(Date.now() / seedInterval);
+
         try {
+            const matchStages = await this.buildOfferPipeline(gameCategory, filters);
+            const shuffle = await this.getSellerShuffle(matchStages, seed);
+            const quotaExpression = tierQuotas ? await this.tierQuotaExpression(shuffle.sellerIds, maxPerSeller) : maxPerSeller;
+
             // Get top offers from each seller
             const pipeline = [
-                { $match: { gameCategory } },
-                { $sort: { rating: -1, createdAt: -1 } },
+                ...matchStages,
+                ...this.offerScoreStages(matchStages, filters),
 
-                // Group by seller and take top offers
+                // Rank offers within each seller and keep the top maxPerSeller
                 {
-                    $group: {
-                        _id: "$sellerId",
-                        topOffers: { $push: "$$ROOT" },
-                        randomOrder: { $first: { $rand: {} } }
+                    $setWindowFields: {
+                        partitionBy: "$sellerId",
+                        sortBy: { offerScore: -1, createdAt: -1, _id: 1 },
+                        output: {
+                            sellerRank: { $sum: 1, window: { documents: ["unbounded", "current"] } }
+                        }
                     }
                 },
+                { $match: { $expr: { $lte: ["$sellerRank", quotaExpression] } } },
 
-                // Limit offers per seller
-                {
-                    $project: {
-                        topOffers: { $slice: ["$topOffers", maxPerSeller] },
-                        randomOrder: 1
-                    }
+                // Seeded seller order
+                { $addFields: { sellerOrder: this.sellerHashExpression(seed) } }
+            ];
+
+            // The total is counted after the quota cut
+            const { offers, totalCount } = await this.aggregatePage(pipeline, [
+                { $sort: { sellerOrder: 1, sellerId: 1, sellerRank: 1 } },
+                { $skip: skip },
+                { $limit: limit },
+                { $project: { sellerRank: 0, sellerOrder: 0 } }
+            ]);
+
+            return {
+                offers,
+                pagination: {
+                    page,
+                    limit,
+                    total: totalCount,
+                    totalPages: Math.ceil(totalCount / limit),
+                    hasNextPage: page * limit < totalCount,
+                    hasPrevPage: page > 1
                 },
+                seed,
+                maxPerSeller,
+                tierQuotas,
+                filters,
+                method: 'Quota-Based Distribution'
+            };
+        } catch (error) {
+            console.error('❌ Quota-based query failed:', error);
+            throw error;
+        }
+    }
+
+    // Per-offer quota expression: the tier override for sellers in an overridden tier, maxPerSeller otherwise
+    async tierQuotaExpression(sellerIds, maxPerSeller) {
+        const overrides = this.config.app.sellers.tierQuotas;
+        const sellers = await this.sellersCollection
+            .find({ _id: { $in: sellerIds }, tier: { $in: Object.keys(overrides) } }, { projection: { tier: 1 } })
+            .toArray();
+
+        const quotas = sellers.map(seller => Math.min(overrides[seller.tier], this.config.app.quota.maxMaxOffersPerSeller));
+        return {
+            $let: {
+                vars: { index: { $indexOfArray: [sellers.map(seller => seller._id), "$sellerId"] } },
+                in: { $cond: [{ $gte: ["$$index", 0] }, { $arrayElemAt: [quotas, "$$index"] }, maxPerSeller] }
+            }
+        };
+    }
 
-                // Randomize seller order
-                { $sort: { randomOrder: 1 } },
+    // Method 5: Quality-Aware Round-Robin
+    // Every seller still gets one offer per round, but within a round sellers are ordered by a seeded
+    // blend of average rating and a Thompson sample of their click-through rate from the events collection
+    async getOffersQualityRoundRobin(gameCategory, page = 1, limit = null, randomSeed = null, filters = {}) {
+        limit = limit || this.config.app.defaultPageSize;
+        const skip = (page - 1) * limit;
 
-                // Flatten offers
-                { $unwind: "$topOffers" },
-                { $replaceRoot: { newRoot: "$topOffers" } },
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const seed = randomSeed || Math.floor(Date.now() / seedInterval);
 
-                { $skip: skip },
-                { $limit: limit }
+        try {
+            const matchStages = await this.buildOfferPipeline(gameCategory, filters);
+            const sellerScores = await this.getQualitySellerScores(matchStages, seed);
+            const orderedSellerIds = sellerScores.map(seller => seller.sellerId);
+
+            const pipeline = [
+                ...matchStages,
+                ...this.offerScoreStages(matchStages, filters),
+                ...this.roundRobinStages({ $indexOfArray: [orderedSellerIds, "$sellerId"] })
             ];
 
-            const options = this.config.performance.aggregation;
-            const offers = await this.collection.aggregate(pipeline, options).toArray();
-            const totalCount = await this.collection.countDocuments({ gameCategory });
+            const { offers, totalCount } = await this.aggregatePage(pipeline, [
+                { $sort: { roundRobinPosition: 1 } },
+                { $skip: skip },
+                { $limit: limit },
+
+                // Clean up helper fields
+                { $project: { sellerRank: 0, sellerOrder: 0, sellerIndex: 0, sellerCount: 0 } }
+            ]);
 
             return {
                 offers,
@@ -394,11 +1120,587 @@ class FairMarketplace {
                     hasNextPage: page * limit < totalCount,
                     hasPrevPage: page > 1
                 },
-                maxPerSeller,
-                method: 'Quota-Based Distribution'
+                seed,
+                sellerScores,
+                filters,
+                method: 'Quality-Aware Round-Robin'
             };
         } catch (error) {
-            console.error('❌ Quota-based query failed:', error);
+            console.error('❌ Quality-aware round-robin query failed:', error);
+            throw error;
+        }
+    }
+
+    // Score sellers for quality-aware round-robin, best first
+    // score = (1 - explorationWeight) * avgRating / maxRating + explorationWeight * normalized CTR sample
+    async getQualitySellerScores(matchStages, seed) {
+        const settings = this.config.app.qualityRoundRobin;
+
+        const sellers = await this.collection.aggregate([
+            ...matchStages,
+            { $group: { _id: "$sellerId", avgRating: { $avg: "$rating" } } }
+        ], this.config.performance.aggregation).toArray();
+
+        const since = new Date(Date.now() - settings.engagementLookbackDays * 24 * 60 * 60 * 1000);
+        const engagement = await this.eventsCollection.aggregate([
+            { $match: { createdAt: { $gte: since }, sellerId: { $in: sellers.map(seller => seller._id) } } },
+            {
+                $group: {
+                    _id: "$sellerId",
+                    impressions: { $sum: { $cond: [{ $eq: ["$type", "impression"] }, 1, 0] } },
+                    clicks: { $sum: { $cond: [{ $eq: ["$type", "click"] }, 1, 0] } }
+                }
+            }
+        ]).toArray();
+        const engagementBySeller = new Map(engagement.map(entry => [String(entry._id), entry]));
+
+        // Beta prior centred on the marketplace-wide CTR, so sellers without data explore around the average
+        const totalImpressions = engagement.reduce((sum, entry) => sum + entry.impressions, 0);
+        const totalClicks = engagement.reduce((sum, entry) => sum + entry.clicks, 0);
+        const globalCtr = totalImpressions > 0 ? Math.min(Math.max(totalClicks / totalImpressions, 0.001), 0.999) : 0.5;
+        const priorAlpha = globalCtr * settings.priorStrength;
+        const priorBeta = (1 - globalCtr) * settings.priorStrength;
+
+        const scored = sellers.map(seller => {
+            const { impressions = 0, clicks = 0 } = engagementBySeller.get(String(seller._id)) || {};
+            const random = this.seededRandom(seed, seller._id);
+            return {
+                sellerId: seller._id,
+                avgRating: seller.avgRating,
+                impressions,
+                clicks,
+                ctrSample: this.sampleBeta(priorAlpha + clicks, priorBeta + Math.max(impressions - clicks, 0), random)
+            };
+        });
+
+        const maxSample = Math.max(...scored.map(seller => seller.ctrSample), 0);
+        scored.forEach(seller => {
+            seller.explorationScore = maxSample > 0 ? seller.ctrSample / maxSample : 0;
+            seller.score = (1 - settings.explorationWeight) * (seller.avgRating / this.config.app.weighted.maxRating) +
+                settings.explorationWeight * seller.explorationScore;
+        });
+
+        return scored.sort((a, b) => b.score - a.score || String(a.sellerId).localeCompare(String(b.sellerId)));
+    }
+
+    // Deterministic uniform (0, 1) generator for a seed and key, built on the same HMAC as the seller shuffle
+    seededRandom(seed, key) {
+        let counter = 0;
+        return () => {
+            const value = crypto
+                .createHmac('sha256', String(seed))
+                .update(`${String(key)}:${counter++}`)
+                .digest()
+                .readUIntBE(0, 6);
+            return (value + 1) / (Math.pow(2, 48) + 1);
+        };
+    }
+
+    // Beta(alpha, beta) sample from two Gamma samples
+    sampleBeta(alpha, beta, random) {
+        const x = this.sampleGamma(alpha, random);
+        const y = this.sampleGamma(beta, random);
+        return x + y > 0 ? x / (x + y) : 0.5;
+    }
+
+    // Gamma(shape, 1) sample (Marsaglia-Tsang; shapes below 1 use the u^(1/shape) boost)
+    sampleGamma(shape, random) {
+        if (shape < 1) {
+            return this.sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+        }
+
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        while (true) {
+            // Standard normal via Box-Muller
+            const normal = Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+            const v = Math.pow(1 + c * normal, 3);
+            if (v <= 0) {
+                continue;
+            }
+            const u = random();
+            if (Math.log(u) < 0.5 * normal * normal + d - d * v + d * Math.log(v)) {
+                return d * v;
+            }
+        }
+    }
+
+    // Run a distribution method by its CLI name
+    // options.sponsored injects sponsored offers into the page and charges their budgets,
+    // unless options.chargeSponsored is false (the offers are shown without an impression being billed)
+    async runDistributionMethod(method, gameCategory, page = 1, limit = null, options = {}) {
+        const minGap = options.minGap !== undefined ? options.minGap : this.config.app.diversity.minGap;
+        let result;
+        if (options.balanceCategories) {
+            result = await this.getCategoryBalancedFeed(method, gameCategory, page, limit, options);
+        } else if (minGap > 0) {
+            result = await this.getOffersWithSellerGap(method, gameCategory, page, limit, minGap, options);
+        } else {
+            result = await this.fetchDistributionPage(method, gameCategory, page, limit, options);
+        }
+
+        if (options.sponsored) {
+            await this.applySponsoredPlacements(result, gameCategory, options.filters, options.chargeSponsored !== false);
+        }
+
+        return result;
+    }
+
+    // Fetch one page of a distribution method's own ranking from the strategy registry
+    async fetchDistributionPage(method, gameCategory, page, limit, options = {}) {
+        const strategy = this.registry.get(method);
+        if (!strategy) {
+            throw new Error(`Unknown method "${method}". Use: ${this.registry.names().join(', ')}`);
+        }
+
+        const query = { gameCategory, filters: options.filters || {} };
+        const result = await strategy.run(this.collection, query, page, limit, { ...options, marketplace: this });
+        result.method = result.method || strategy.label;
+        result.strategy = strategy.name;
+        return result;
+    }
+
+    // Registry name for a method name or alias; engagement events are keyed by it so clicks pair with impressions
+    resolveMethodName(method) {
+        const strategy = this.registry.get(method);
+        if (!strategy) {
+            throw new Error(`Unknown method "${method}". Use: ${this.registry.names().join(', ')}`);
+        }
+        return strategy.name;
+    }
+
+    // Categories a feed spans: the given list, or every category with offers for 'all' / null
+    async resolveCategories(gameCategory) {
+        if (Array.isArray(gameCategory)) {
+            return gameCategory;
+        }
+        if (!gameCategory || gameCategory === ALL_CATEGORIES) {
+            return (await this.collection.distinct('gameCategory')).sort();
+        }
+        return [gameCategory];
+    }
+
+    // Feed spanning several categories that deals categories round-robin (in a seeded order), while
+    // each category's offers keep the method's per-seller fairness. Each category's ranking is read from
+    // the top, so the same seed always yields the same feed; a category that runs out drops from the rotation.
+    async getCategoryBalancedFeed(method, gameCategory, page = 1, limit = null, options = {}) {
+        limit = limit || this.config.app.defaultPageSize;
+
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const position = options.cursor ? this.decodeCursor(options.cursor) : null;
+        if (position) {
+            page = position.page;
+        }
+        const seed = position ? position.seed : (options.seed || Math.floor(Date.now() / seedInterval));
+        const categoryOptions = { ...options, seed, cursor: null, balanceCategories: false, sponsored: false };
+
+        try {
+            const categories = await this.resolveCategories(gameCategory);
+            const categoryOrder = this.computeSellerShuffle(categories, seed).order;
+            const target = page * limit;
+
+            // Read each category deep enough for its share of the feed, deeper if other categories run out
+            let depth = Math.ceil(target / Math.max(categoryOrder.length, 1));
+            let streams;
+            let feed;
+            while (true) {
+                streams = await Promise.all(categoryOrder.map(category =>
+                    this.runDistributionMethod(method, category, 1, depth, categoryOptions)));
+
+                feed = [];
+                for (let round = 0; round < depth && feed.length < target; round++) {
+                    streams.forEach(stream => {
+                        if (round < stream.offers.length) {
+                            feed.push(stream.offers[round]);
+                        }
+                    });
+                }
+
+                const maxAvailable = Math.max(0, ...streams.map(stream => stream.pagination.total));
+                if (feed.length >= target || depth >= maxAvailable) {
+                    break;
+                }
+                depth = Math.min(depth * 2, maxAvailable);
+            }
+
+            const totalCount = streams.reduce((sum, stream) => sum + stream.pagination.total, 0);
+            return {
+                offers: feed.slice((page - 1) * limit, target),
+                pagination: {
+                    page,
+                    limit,
+                    total: totalCount,
+                    totalPages: Math.ceil(totalCount / limit),
+                    hasNextPage: page * limit < totalCount,
+                    hasPrevPage: page > 1
+                },
+                seed,
+                categories: categoryOrder,
+                categoryTotals: Object.fromEntries(categoryOrder.map((category, i) => [category, streams[i].pagination.total])),
+                filters: options.filters || {},
+                method: `${streams.length > 0 ? streams[0].method : method} (Category-Balanced)`,
+                strategy: this.resolveMethodName(method)
+            };
+        } catch (error) {
+            console.error('❌ Category-balanced feed failed:', error);
+            throw error;
+        }
+    }
+
+    // Re-rank a method's output so at least minGap other offers separate two offers from the same seller
+    // The constraint is applied greedily to the whole ranked stream rather than page by page: each slot takes
+    // the best remaining offer whose seller is not among the previous minGap slots, so page N+1 never opens
+    // with a seller that closed page N. Serving page N walks the stream from the start (cost grows with depth).
+    async getOffersWithSellerGap(method, gameCategory, page = 1, limit = null, minGap = 1, options = {}) {
+        const settings = this.config.app.diversity;
+        limit = limit || this.config.app.defaultPageSize;
+
+        // The stream must be identical on every request, so pin the seed (a cursor only carries page and seed here)
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const position = options.cursor ? this.decodeCursor(options.cursor) : null;
+        if (position) {
+            page = position.page;
+        }
+        const seed = position ? position.seed : (options.seed || Math.floor(Date.now() / seedInterval));
+        const chunkSize = Math.max(limit, settings.chunkSize);
+        const fetchOptions = { ...options, seed, cursor: null };
+
+        const target = page * limit;
+        const ranked = [];
+        const buffer = [];
+        let firstChunk = null;
+        let chunkPage = 0;
+        let exhausted = false;
+
+        try {
+            const fetchChunk = async () => {
+                chunkPage++;
+                const chunk = await this.fetchDistributionPage(method, gameCategory, chunkPage, chunkSize, fetchOptions);
+                firstChunk = firstChunk || chunk;
+                buffer.push(...chunk.offers);
+                exhausted = chunk.offers.length === 0 || !chunk.pagination.hasNextPage;
+            };
+
+            while (ranked.length < target) {
+                if (buffer.length === 0) {
+                    if (exhausted) {
+                        break;
+                    }
+                    await fetchChunk();
+                    continue;
+                }
+
+                const recentSellers = new Set(ranked.slice(-minGap).map(offer => String(offer.sellerId)));
+                let index = buffer.findIndex(offer => !recentSellers.has(String(offer.sellerId)));
+
+                // Look further down the stream before giving up on the constraint
+                if (index === -1 && !exhausted && buffer.length < settings.maxLookahead) {
+                    await fetchChunk();
+                    continue;
+                }
+
+                // Only one seller left within reach: the constraint cannot hold, keep the method's order
+                if (index === -1) {
+                    index = 0;
+                }
+                ranked.push(buffer.splice(index, 1)[0]);
+            }
+
+            const start = (page - 1) * limit;
+            const offers = ranked.slice(start, target);
+            const violations = offers.filter((offer, i) => ranked
+                .slice(Math.max(0, start + i - minGap), start + i)
+                .some(previous => String(previous.sellerId) === String(offer.sellerId))).length;
+
+            const totalCount = firstChunk.pagination.total;
+            return {
+                ...firstChunk,
+                offers,
+                pagination: {
+                    page,
+                    limit,
+                    total: totalCount,
+                    totalPages: Math.ceil(totalCount / limit),
+                    hasNextPage: page * limit < totalCount,
+                    hasPrevPage: page > 1
+                },
+                seed,
+                diversity: { minGap, violations, offersScanned: ranked.length + buffer.length }
+            };
+        } catch (error) {
+            console.error('❌ Seller gap re-ranking failed:', error);
+            throw error;
+        }
+    }
+
+    // Inject sponsored offers into the configured page slots of a distribution result
+    // Highest bids win, but each seller gets at most maxSponsoredPerSeller slots and may not
+    // exceed maxOffersPerSellerPerPage offers on the page once its organic offers are counted
+    async applySponsoredPlacements(result, gameCategory, filters = {}, recordImpressions = true) {
+        const settings = this.config.app.sponsorship;
+        const now = new Date();
+
+        try {
+            const matchStages = await this.buildOfferPipeline(gameCategory, filters);
+            const candidates = await this.collection.aggregate([
+                ...matchStages,
+                {
+                    $match: {
+                        'sponsorship.startAt': { $lte: now },
+                        'sponsorship.endAt': { $gte: now },
+                        // Only campaigns that can still pay for one more impression
+                        $expr: { $lte: [{ $add: ["$sponsorship.spent", "$sponsorship.bid"] }, "$sponsorship.budget"] }
+                    }
+                },
+                { $sort: { 'sponsorship.bid': -1, _id: 1 } },
+                { $limit: settings.maxCandidates }
+            ], this.config.performance.aggregation).toArray();
+
+            const organicPerSeller = {};
+            result.offers.forEach(offer => {
+                organicPerSeller[offer.sellerId] = (organicPerSeller[offer.sellerId] || 0) + 1;
+            });
+
+            const sponsoredPerSeller = {};
+            const selected = [];
+            for (const candidate of candidates) {
+                if (selected.length === settings.slots.length) {
+                    break;
+                }
+
+                const sponsoredCount = sponsoredPerSeller[candidate.sellerId] || 0;
+                // The candidate's own organic copy is removed from the page, so it does not count twice
+                const alreadyOnPage = result.offers.some(offer => String(offer._id) === String(candidate._id)) ? 1 : 0;
+                const organicCount = (organicPerSeller[candidate.sellerId] || 0) - alreadyOnPage;
+
+                if (sponsoredCount >= settings.maxSponsoredPerSeller ||
+                    organicCount + sponsoredCount + 1 > settings.maxOffersPerSellerPerPage) {
+                    continue;
+                }
+
+                selected.push(candidate);
+                sponsoredPerSeller[candidate.sellerId] = sponsoredCount + 1;
+            }
+
+            const selectedIds = new Set(selected.map(offer => String(offer._id)));
+            const offers = result.offers.filter(offer => !selectedIds.has(String(offer._id)));
+
+            // Slots are 1-based page positions; sponsored offers are added on top of the organic page size
+            [...settings.slots].sort((a, b) => a - b).slice(0, selected.length).forEach((slot, i) => {
+                offers.splice(Math.min(slot - 1, offers.length), 0, { ...selected[i], sponsored: true });
+            });
+
+            const recorded = recordImpressions ? await this.recordSponsoredImpressions(selected) : 0;
+
+            result.offers = offers;
+            result.sponsored = { slots: settings.slots, injected: selected.length, impressionsRecorded: recorded };
+            return result;
+        } catch (error) {
+            console.error('❌ Sponsored placement failed:', error);
+            throw error;
+        }
+    }
+
+    // Charge one impression to each sponsorship budget; the conditional update never overspends
+    async recordSponsoredImpressions(offers) {
+        if (offers.length === 0) {
+            return 0;
+        }
+
+        const operations = offers.map(offer => ({
+            updateOne: {
+                filter: {
+                    _id: offer._id,
+                    $expr: { $lte: [{ $add: ["$sponsorship.spent", "$sponsorship.bid"] }, "$sponsorship.budget"] }
+                },
+                update: {
+                    $inc: { 'sponsorship.spent': offer.sponsorship.bid, 'sponsorship.impressions': 1 },
+                    $set: { 'sponsorship.lastImpressionAt': new Date() }
+                }
+            }
+        }));
+
+        const writeResult = await this.collection.bulkWrite(operations, { ordered: false });
+        return writeResult.modifiedCount;
+    }
+
+    // Start or replace a sponsorship campaign on an offer
+    async setSponsorship(offerId, budget, bid, days = 7) {
+        if (!(budget > 0) || !(bid > 0) || bid > budget) {
+            throw new Error('Sponsorship needs a positive budget and a bid no larger than the budget');
+        }
+
+        const startAt = new Date();
+        const sponsorship = {
+            budget,
+            bid,
+            spent: 0,
+            impressions: 0,
+            startAt,
+            endAt: new Date(startAt.getTime() + days * 24 * 60 * 60 * 1000)
+        };
+
+        const updateResult = await this.collection.updateOne({ _id: offerId }, { $set: { sponsorship } });
+        if (updateResult.matchedCount === 0) {
+            throw new Error(`Offer not found: ${offerId}`);
+        }
+
+        this.log(`✅ Sponsored ${offerId}: budget ${budget}, bid ${bid} per impression, until ${sponsorship.endAt.toISOString()}`);
+        return sponsorship;
+    }
+
+    // Atomically take qty units of an offer's stock; the conditional update never lets stock go below 0
+    async reserveStock(offerId, qty = 1) {
+        if (!Number.isInteger(qty) || qty <= 0) {
+            throw new Error('Reservation quantity must be a positive integer');
+        }
+
+        try {
+            const offer = await this.collection.findOneAndUpdate(
+                { _id: offerId, stock: { $gte: qty } },
+                { $inc: { stock: -qty }, $set: { lastReservedAt: new Date() } },
+                { returnDocument: 'after', projection: { stock: 1 } }
+            );
+
+            if (offer) {
+                return { reserved: true, offerId, quantity: qty, remainingStock: offer.stock };
+            }
+
+            // Nothing matched: either the offer does not exist or it has too little stock
+            const current = await this.collection.findOne({ _id: offerId }, { projection: { stock: 1 } });
+            if (!current) {
+                throw new Error(`Offer not found: ${offerId}`);
+            }
+            return { reserved: false, offerId, quantity: qty, reason: 'insufficient_stock', availableStock: current.stock };
+        } catch (error) {
+            console.error('❌ Stock reservation failed:', error);
+            throw error;
+        }
+    }
+
+    // Record one impression event per offer shown in a distribution result
+    async recordImpression(result) {
+        if (result.offers.length === 0) {
+            return 0;
+        }
+
+        const createdAt = new Date();
+        const events = result.offers.map((offer, index) => ({
+            type: 'impression',
+            offerId: offer._id,
+            sellerId: offer.sellerId,
+            gameCategory: offer.gameCategory,
+            method: result.strategy,
+            seed: result.seed !== undefined ? result.seed : null,
+            page: result.pagination.page,
+            position: index + 1,
+            sponsored: Boolean(offer.sponsored),
+            createdAt
+        }));
+
+        try {
+            const insertResult = await this.eventsCollection.insertMany(events, { ordered: false });
+            return insertResult.insertedCount;
+        } catch (error) {
+            console.error('❌ Impression tracking failed:', error);
+            throw error;
+        }
+    }
+
+    // Record a click on an offer; context carries where it was shown: { method, seed, page, position }
+    // context.method may be any registered name or alias and is stored as the registry name
+    async recordClick(offerId, context = {}) {
+        try {
+            const method = context.method ? this.resolveMethodName(context.method) : null;
+            let { sellerId, gameCategory } = context;
+            if (!sellerId || !gameCategory) {
+                const offer = await this.collection.findOne({ _id: offerId }, { projection: { sellerId: 1, gameCategory: 1 } });
+                if (!offer) {
+                    throw new Error(`Offer not found: ${offerId}`);
+                }
+                sellerId = offer.sellerId;
+                gameCategory = offer.gameCategory;
+            }
+
+            const event = {
+                type: 'click',
+                offerId,
+                sellerId,
+                gameCategory,
+                method,
+                seed: context.seed !== undefined ? context.seed : null,
+                page: context.page || null,
+                position: context.position || null,
+                sponsored: Boolean(context.sponsored),
+                createdAt: new Date()
+            };
+
+            await this.eventsCollection.insertOne(event);
+            return event;
+        } catch (error) {
+            console.error('❌ Click tracking failed:', error);
+            throw error;
+        }
+    }
+
+    // Aggregate impressions, clicks and CTR by seller, position and method over the last N hours
+    async getEngagementReport(windowHours = 24, method = null) {
+        const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+        const match = { createdAt: { $gte: since } };
+        if (method) {
+            method = this.resolveMethodName(method);
+            match.method = method;
+        }
+
+        const countsBy = (key) => [
+            {
+                $group: {
+                    _id: key,
+                    impressions: { $sum: { $cond: [{ $eq: ["$type", "impression"] }, 1, 0] } },
+                    clicks: { $sum: { $cond: [{ $eq: ["$type", "click"] }, 1, 0] } }
+                }
+            },
+            {
+                $addFields: {
+                    ctr: { $cond: [{ $gt: ["$impressions", 0] }, { $divide: ["$clicks", "$impressions"] }, 0] }
+                }
+            }
+        ];
+
+        try {
+            const [report] = await this.eventsCollection.aggregate([
+                { $match: match },
+                {
+                    $facet: {
+                        bySeller: [...countsBy("$sellerId"), { $sort: { ctr: -1, impressions: -1 } }],
+                        byPosition: [...countsBy("$position"), { $sort: { _id: 1 } }],
+                        byMethod: [...countsBy("$method"), { $sort: { ctr: -1 } }]
+                    }
+                }
+            ], this.config.performance.aggregation).toArray();
+
+            this.log(`\n📈 Engagement Report (last ${windowHours}h${method ? `, ${method}` : ''})`);
+            this.log('='.repeat(60));
+
+            const printTable = (title, label, rows) => {
+                this.log(`\n${title}:`);
+                this.log(`  ${label.padEnd(30)} | ${'Impr.'.padStart(7)} | ${'Clicks'.padStart(6)} | ${'CTR'.padStart(6)}`);
+                rows.forEach(row => {
+                    this.log(`  ${String(row._id).padEnd(30)} | ${row.impressions.toString().padStart(7)} | ${row.clicks.toString().padStart(6)} | ${(row.ctr * 100).toFixed(2).padStart(5)}%`);
+                });
+            };
+
+            if (report.byMethod.length === 0) {
+                this.log('No events in this window. Run "search" or "simulate ... --track" first.');
+            } else {
+                printTable('By method', 'Method', report.byMethod);
+                printTable('By position on page', 'Position', report.byPosition);
+                printTable('By seller', 'Seller', report.bySeller);
+            }
+
+            return { since, windowHours, method, ...report };
+        } catch (error) {
+            console.error('❌ Report query failed:', error);
             throw error;
         }
     }
@@ -417,15 +1719,29 @@ class FairMarketplace {
                         totalStock: { $sum: "$stock" }
                     }
                 },
-                { $sort: { offerCount: -1 } }
+                { $sort: { offerCount: -1 } },
+
+                // Join the seller profile
+                {
+                    $lookup: {
+                        from: this.collectionNames.sellers,
+                        localField: "_id",
+                        foreignField: "_id",
+                        as: "profile"
+                    }
+                },
+                { $unwind: { path: "$profile", preserveNullAndEmptyArrays: true } }
             ];
 
             const stats = await this.collection.aggregate(pipeline).toArray();
 
-            console.log(`\n📊 Seller Statistics ${gameCategory ? `for ${gameCategory}` : '(All Categories)'}`);
-            console.log('='.repeat(60));
+            this.log(`\n📊 Seller Statistics ${gameCategory ? `for ${gameCategory}` : '(All Categories)'}`);
+            this.log('='.repeat(120));
             stats.forEach(seller => {
-                console.log(`Seller: ${seller._id.padEnd(12)} | Offers: ${seller.offerCount.toString().padStart(3)} | Avg Price: $${seller.avgPrice.toFixed(2)} | Avg Rating: ${seller.avgRating.toFixed(1)}`);
+                const profile = seller.profile
+                    ? `${seller.profile.name.slice(0, 24).padEnd(24)} | ${seller.profile.tier.padEnd(8)} | ${seller.profile.verified ? '✓' : ' '} | ${seller.profile.homeRegion.padEnd(5)}${seller.profile.status === 'suspended' ? ' | ⛔ Suspended' : ''}`
+                    : 'No profile';
+                this.log(`Seller: ${String(seller._id).padEnd(12)} | Offers: ${seller.offerCount.toString().padStart(3)} | Avg Price: $${seller.avgPrice.toFixed(2)} | Avg Rating: ${seller.avgRating.toFixed(1)} | ${profile}`);
             });
 
             return stats;
@@ -435,41 +1751,372 @@ class FairMarketplace {
         }
     }
 
-    // Compare different distribution methods
-    async compareDistributionMethods(gameCategory, limit = 20) {
-        console.log(`\n🔬 Comparing Distribution Methods for ${gameCategory}`);
-        console.log('='.repeat(70));
-
-        const methods = [
-            { name: 'Hash Round-Robin', fn: () => this.getOffersHashRoundRobin(gameCategory, 1, limit) },
-            { name: 'True Round-Robin', fn: () => this.getOffersTrueRoundRobin(gameCategory, 1, limit) },
-            { name: 'Weighted Random', fn: () => this.getOffersWeightedRandom(gameCategory, 1, limit) },
-            { name: 'Quota-Based', fn: () => this.getOffersQuotaBased(gameCategory, 1, limit, 3) }
-        ];
+    // Compare different distribution methods using the fairness metrics across the first N pages
+    async compareDistributionMethods(gameCategory, limit = 20, pages = 1, showJson = false, seed = null) {
+        this.log(`\n🔬 Comparing Distribution Methods for ${gameCategory}`);
+        this.log('='.repeat(100));
 
+        // One seed for every page of every method: unseeded weighted draws would be independent per page,
+        // counting some offers twice and never reaching others
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        seed = seed || Math.floor(Date.now() / seedInterval);
+
+        // Every registered strategy takes part, using its compareOptions (e.g. the quota per seller)
+        const methods = this.registry.list().map(strategy => ({
+            name: strategy.label,
+            fn: (page) => this.fetchDistributionPage(strategy.name, gameCategory, page, limit, { seed, ...strategy.compareOptions })
+        }));
+
+        // Seller inventory in the category, so exposure can be judged against listing counts
+        const inventory = await this.collection.aggregate([
+            ...await this.buildOfferPipeline(gameCategory),
+            { $group: { _id: "$sellerId", count: { $sum: 1 } } }
+        ]).toArray();
+        const inventoryBySeller = Object.fromEntries(inventory.map(seller => [seller._id, seller.count]));
+
+        const comparison = [];
         for (const method of methods) {
             try {
-                const result = await method.fn();
-                const sellerCounts = {};
+                const offers = [];
+                let reachableOffers = 0;
+                for (let page = 1; page <= pages; page++) {
+                    const result = await method.fn(page);
+                    offers.push(...result.offers);
+                    reachableOffers = result.pagination.total;
+                    if (!result.pagination.hasNextPage) {
+                        break;
+                    }
+                }
+
+                comparison.push({ method: method.name, seed, reachableOffers, metrics: computeFairnessMetrics(offers, inventoryBySeller) });
+            } catch (error) {
+                console.error(`  ❌ ${method.name} failed:`, error.message);
+                comparison.push({ method: method.name, seed, error: error.message });
+            }
+        }
+
+        this.log(`Pages: ${pages} | Limit: ${limit} | Seed: ${seed} | Sellers in category: ${inventory.length}`);
+        this.log('-'.repeat(100));
+        this.log(`${'Method'.padEnd(18)} | ${'Reach'.padStart(5)} | ${'Sellers'.padStart(7)} | ${'Gini'.padStart(5)} | ${'Entropy'.padStart(7)} | ${'Max Share'.padStart(9)} | ${'Exp. Gini'.padStart(9)} | ${'Exp/Inv min-max'.padStart(15)}`);
+        this.log('-'.repeat(100));
+        comparison.forEach(({ method, reachableOffers, metrics }) => {
+            if (!metrics) {
+                this.log(`${method.padEnd(18)} | failed`);
+                return;
+            }
+            const ratioRange = `${metrics.exposureInventory.min.toFixed(2)}-${metrics.exposureInventory.max.toFixed(2)}`;
+            this.log(`${method.padEnd(18)} | ${reachableOffers.toString().padStart(5)} | ${`${metrics.sellersShown}/${metrics.sellersInCategory}`.padStart(7)} | ${metrics.gini.toFixed(2).padStart(5)} | ${metrics.entropy.toFixed(2).padStart(7)} | ${(metrics.maxShare * 100).toFixed(1).padStart(8)}% | ${metrics.exposureGini.toFixed(2).padStart(9)} | ${ratioRange.padStart(15)}`);
+        });
+        this.log('-'.repeat(100));
+        this.log('💡 Reach: offers reachable across all pages | Gini / Max Share: lower = more fair | Entropy: higher = more fair | Exp/Inv: exposure share ÷ inventory share (1.00 = proportional)');
+
+        if (showJson) {
+            this.log(JSON.stringify({ gameCategory, limit, pages, seed, methods: comparison }, null, 2));
+        }
+
+        return comparison;
+    }
+
+    // Draw how many pages a shopper browses from the configured decay curve
+    drawPageDepth() {
+        const { maxPageDepth, pageDepthDecay } = this.config.app.simulation;
+        let depth = 1;
+
+        while (depth < maxPageDepth) {
+            let continueProbability;
+            switch (pageDepthDecay.curve) {
+                case 'geometric':
+                    continueProbability = pageDepthDecay.rate;
+                    break;
+                case 'power':
+                    continueProbability = Math.pow(depth / (depth + 1), pageDepthDecay.rate);
+                    break;
+                default:
+                    throw new Error(`Unknown page depth decay curve: ${pageDepthDecay.curve}`);
+            }
+
+            if (Math.random() >= continueProbability) {
+                break;
+            }
+            depth++;
+        }
+
+        return depth;
+    }
+
+    // Replay synthetic shopper sessions against a distribution method and report per-seller exposure
+    // With track, impressions and position-dependent synthetic clicks are written to the events collection
+    async simulateShopperSessions(method, sessions = null, seedIntervals = null, limit = null, track = false) {
+        const simulation = this.config.app.simulation;
+        sessions = sessions || simulation.defaultSessions;
+        seedIntervals = seedIntervals || simulation.defaultSeedIntervals;
+        limit = limit || this.config.app.defaultPageSize;
+
+        const gameCategories = this.config.app.seeding.gameCategories;
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const baseSeed = Math.floor(Date.now() / seedInterval);
+
+        this.log(`\n🛒 Simulating ${sessions} shopper sessions (${method})`);
+        this.log('='.repeat(90));
+        this.log(`Seed intervals: ${seedIntervals} | Page size: ${limit} | Depth curve: ${simulation.pageDepthDecay.curve} (${simulation.pageDepthDecay.rate}), max ${simulation.maxPageDepth} pages`);
+
+        const impressions = {};
+        const topSlotImpressions = {};
+        const intervalImpressions = Array.from({ length: seedIntervals }, () => ({}));
+        let pageViews = 0;
+        let totalTopSlots = 0;
+
+        // Seeded methods return the same page for the same seed, so their pages are fetched once
+        const pageCache = new Map();
+        let queries = 0;
+
+        for (let session = 0; session < sessions; session++) {
+            const gameCategory = faker.helpers.arrayElement(gameCategories);
+            const interval = faker.number.int({ min: 0, max: seedIntervals - 1 });
+            const seed = baseSeed + interval;
+            const depth = this.drawPageDepth();
+
+            for (let page = 1; page <= depth; page++) {
+                const cacheKey = `${gameCategory}|${page}|${seed}`;
+                let result = pageCache.get(cacheKey);
+                if (!result) {
+                    result = await this.runDistributionMethod(method, gameCategory, page, limit, { seed });
+                    queries++;
+                    if (result.seed !== undefined) {
+                        pageCache.set(cacheKey, result);
+                    }
+                }
+
+                pageViews++;
+                if (track) {
+                    await this.recordSimulatedEngagement(result, page, limit);
+                }
 
-                result.offers.forEach(offer => {
-                    sellerCounts[offer.sellerId] = (sellerCounts[offer.sellerId] || 0) + 1;
+                result.offers.forEach((offer, index) => {
+                    const slot = (page - 1) * limit + index + 1;
+                    impressions[offer.sellerId] = (impressions[offer.sellerId] || 0) + 1;
+                    intervalImpressions[interval][offer.sellerId] = (intervalImpressions[interval][offer.sellerId] || 0) + 1;
+                    if (slot <= simulation.topSlots) {
+                        topSlotImpressions[offer.sellerId] = (topSlotImpressions[offer.sellerId] || 0) + 1;
+                        totalTopSlots++;
+                    }
                 });
 
-                console.log(`\n${method.name}:`);
-                console.log(`  Unique sellers: ${Object.keys(sellerCounts).length}`);
-                console.log(`  Distribution: ${JSON.stringify(sellerCounts, null, 2)}`);
+                if (!result.pagination.hasNextPage) {
+                    break;
+                }
+            }
+        }
 
-                // Calculate distribution fairness (lower = more fair)
-                const counts = Object.values(sellerCounts);
-                const avg = counts.reduce((a, b) => a + b, 0) / counts.length;
-                const variance = counts.reduce((sum, count) => sum + Math.pow(count - avg, 2), 0) / counts.length;
-                console.log(`  Fairness Score: ${variance.toFixed(2)} (lower = more fair)`);
+        const totalImpressions = Object.values(impressions).reduce((a, b) => a + b, 0);
+        const intervalTotals = intervalImpressions.map(counts => Object.values(counts).reduce((a, b) => a + b, 0));
 
-            } catch (error) {
-                console.error(`  ❌ ${method.name} failed:`, error.message);
+        const sellers = Object.keys(impressions).map(sellerId => {
+            // Seller's share of impressions within each seed interval that saw traffic
+            const intervalShares = intervalImpressions
+                .map((counts, i) => intervalTotals[i] > 0 ? (counts[sellerId] || 0) / intervalTotals[i] : null)
+                .filter(share => share !== null);
+            const meanShare = intervalShares.reduce((a, b) => a + b, 0) / intervalShares.length;
+            const stdDev = Math.sqrt(intervalShares.reduce((sum, share) => sum + Math.pow(share - meanShare, 2), 0) / intervalShares.length);
+
+            return {
+                sellerId,
+                impressions: impressions[sellerId],
+                share: impressions[sellerId] / totalImpressions,
+                topSlots: topSlotImpressions[sellerId] || 0,
+                topSlotShare: totalTopSlots > 0 ? (topSlotImpressions[sellerId] || 0) / totalTopSlots : 0,
+                intervalShare: {
+                    min: Math.min(...intervalShares),
+                    max: Math.max(...intervalShares),
+                    stdDev
+                }
+            };
+        }).sort((a, b) => b.impressions - a.impressions);
+
+        this.log(`Page views: ${pageViews} | Impressions: ${totalImpressions} | Queries executed: ${queries}`);
+        this.log('-'.repeat(90));
+        this.log(`${'Seller'.padEnd(14)} | ${'Impressions'.padStart(11)} | ${'Share'.padStart(6)} | ${`Top-${simulation.topSlots}`.padStart(7)} | ${`Top-${simulation.topSlots} %`.padStart(9)} | ${'Interval share min-max'.padStart(22)} | ${'σ'.padStart(5)}`);
+        this.log('-'.repeat(90));
+        sellers.forEach(seller => {
+            const range = `${(seller.intervalShare.min * 100).toFixed(1)}%-${(seller.intervalShare.max * 100).toFixed(1)}%`;
+            this.log(`${seller.sellerId.padEnd(14)} | ${seller.impressions.toString().padStart(11)} | ${(seller.share * 100).toFixed(1).padStart(5)}% | ${seller.topSlots.toString().padStart(7)} | ${(seller.topSlotShare * 100).toFixed(1).padStart(8)}% | ${range.padStart(22)} | ${(seller.intervalShare.stdDev * 100).toFixed(1).padStart(5)}`);
+        });
+        this.log('-'.repeat(90));
+        this.log(`Impression Gini: ${giniCoefficient(sellers.map(seller => seller.impressions)).toFixed(3)} | Top-${simulation.topSlots} Gini: ${giniCoefficient(sellers.map(seller => seller.topSlots)).toFixed(3)} (lower = more fair)`);
+
+        return { method, sessions, seedIntervals, limit, pageViews, totalImpressions, sellers };
+    }
+
+    // Record a simulated page view: impressions for every offer, clicks more likely in top positions
+    async recordSimulatedEngagement(result, page, limit) {
+        await this.recordImpression({ ...result, pagination: { ...result.pagination, page } });
+
+        for (const [index, offer] of result.offers.entries()) {
+            const slot = (page - 1) * limit + index + 1;
+            if (Math.random() < this.config.app.simulation.clickProbability * positionWeight(slot)) {
+                await this.recordClick(offer._id, {
+                    sellerId: offer.sellerId,
+                    gameCategory: offer.gameCategory,
+                    method: result.strategy,
+                    seed: result.seed,
+                    page,
+                    position: index + 1
+                });
+            }
+        }
+    }
+
+    // Check that a seeded shuffle places every seller in every position with equal frequency across seeds
+    // Uses a chi-square test on the seller x position count matrix (Wilson-Hilferty normal approximation)
+    // orderFor(seed) gives the seller order for one seed; defaults to computeSellerShuffle
+    testSellerShuffle(sellerIds, seeds = 10000, orderFor = seed => this.computeSellerShuffle(sellerIds, seed).order) {
+        const n = sellerIds.length;
+        const counts = sellerIds.map(() => new Array(n).fill(0));
+        const indexBySeller = new Map(sellerIds.map((sellerId, i) => [String(sellerId), i]));
+
+        for (let seed = 1; seed <= seeds; seed++) {
+            orderFor(seed).forEach((sellerId, position) => {
+                counts[indexBySeller.get(String(sellerId))][position]++;
+            });
+        }
+
+        const expected = seeds / n;
+        let chiSquare = 0;
+        let maxDeviation = 0;
+        counts.forEach(row => row.forEach(observed => {
+            chiSquare += Math.pow(observed - expected, 2) / expected;
+            maxDeviation = Math.max(maxDeviation, Math.abs(observed - expected) / expected);
+        }));
+
+        const degreesOfFreedom = Math.pow(n - 1, 2);
+        const zScore = (Math.cbrt(chiSquare / degreesOfFreedom) - (1 - 2 / (9 * degreesOfFreedom))) /
+            Math.sqrt(2 / (9 * degreesOfFreedom));
+
+        return {
+            sellers: n,
+            seeds,
+            expectedPerCell: expected,
+            chiSquare,
+            degreesOfFreedom,
+            zScore,
+            maxDeviation,
+            // z above 3 means positions are far less uniform than chance allows
+            passed: zScore < 3,
+            counts
+        };
+    }
+
+    // Run the shuffle uniformity test against real sellers (category given) or synthetic mixed-format IDs
+    async runShuffleTest(numSellers = 15, seeds = 10000, gameCategory = null) {
+        let sellerIds;
+        if (gameCategory) {
+            sellerIds = await this.collection.distinct('sellerId', { gameCategory });
+        } else {
+            // Mix the ID formats the shuffle has to cope with
+            sellerIds = Array.from({ length: numSellers }, (_, i) => {
+                switch (i % 4) {
+                    case 0: return `seller_${i + 1}`;
+                    case 1: return new ObjectId();
+                    case 2: return faker.string.uuid();
+                    default: return faker.company.name();
+                }
+            });
+        }
+
+        this.log(`\n🎲 Seller Shuffle Uniformity Test`);
+        this.log('='.repeat(70));
+
+        if (sellerIds.length < 2) {
+            this.log('❌ Need at least 2 sellers. Run "node marketplace.js seed" first or omit the category.');
+            return null;
+        }
+
+        // Test the order the offer pipelines actually use, hashed by the server
+        const orders = await this.getServerSellerOrders(sellerIds, seeds);
+        const report = this.testSellerShuffle(sellerIds, seeds, seed => orders.get(seed));
+
+        this.log(`Sellers: ${report.sellers} (${gameCategory ? `from ${gameCategory}` : 'synthetic mixed-format IDs'}) | Seeds: ${report.seeds}`);
+        this.log(`Expected placements per seller per position: ${report.expectedPerCell.toFixed(1)}`);
+        this.log(`Chi-square: ${report.chiSquare.toFixed(2)} (df = ${report.degreesOfFreedom}) | z = ${report.zScore.toFixed(2)}`);
+        this.log(`Largest deviation from expected: ${(report.maxDeviation * 100).toFixed(1)}%`);
+        this.log(report.passed
+            ? '✅ Every seller lands in every position with roughly equal frequency'
+            : '❌ Position frequencies deviate significantly from uniform');
+
+        return report;
+    }
+
+    // Seller order sellerHashExpression gives for every seed from 1 to seeds, in one aggregation
+    async getServerSellerOrders(sellerIds, seeds) {
+        const orders = await this.db.aggregate([
+            { $documents: sellerIds.map(sellerId => ({ sellerId: { $literal: sellerId } })) },
+            { $set: { seed: { $range: [1, seeds + 1] } } },
+            { $unwind: "$seed" },
+            { $set: { hash: this.sellerHashExpression("$seed") } },
+            { $sort: { seed: 1, hash: 1 } },
+            { $group: { _id: "$seed", order: { $push: "$sellerId" } } }
+        ], this.config.performance.aggregation).toArray();
+
+        return new Map(orders.map(({ _id, order }) => [_id, order]));
+    }
+
+    // Benchmark server-side true round-robin against the in-memory implementation on the seeded data
+    async benchmarkTrueRoundRobin(gameCategory, pages = 5, limit = null, randomSeed = null) {
+        limit = limit || this.config.app.defaultPageSize;
+
+        // Both implementations must see the same seed for their pages to be comparable
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const seed = randomSeed || Math.floor(Date.now() / seedInterval);
+
+        const totalCount = await this.collection.countDocuments({ gameCategory });
+
+        this.log(`\n⏱️ Benchmarking True Round-Robin for ${gameCategory}`);
+        this.log('='.repeat(70));
+        this.log(`Offers in category: ${totalCount} | Pages: ${pages} | Limit: ${limit} | Seed: ${seed}`);
+
+        const implementations = [
+            { name: 'Server-Side', fn: (page) => this.getOffersTrueRoundRobin(gameCategory, page, limit, seed), transferredPerPage: limit },
+            { name: 'In-Memory', fn: (page) => this.getOffersTrueRoundRobinInMemory(gameCategory, page, limit, seed), transferredPerPage: totalCount }
+        ];
+
+        const results = {};
+        for (const implementation of implementations) {
+            const timings = [];
+            const pageIds = [];
+
+            for (let page = 1; page <= pages; page++) {
+                const startTime = Date.now();
+                const result = await implementation.fn(page);
+                timings.push(Date.now() - startTime);
+                pageIds.push(result.offers.map(offer => offer._id.toString()));
             }
+
+            const totalMs = timings.reduce((a, b) => a + b, 0);
+            results[implementation.name] = {
+                totalMs,
+                avgMs: totalMs / pages,
+                maxMs: Math.max(...timings),
+                offersTransferred: implementation.transferredPerPage * pages,
+                pageIds
+            };
         }
+
+        const serverSide = results['Server-Side'];
+        const inMemory = results['In-Memory'];
+        const identical = JSON.stringify(serverSide.pageIds) === JSON.stringify(inMemory.pageIds);
+
+        this.log('-'.repeat(70));
+        this.log(`${'Implementation'.padEnd(15)} | ${'Total ms'.padStart(9)} | ${'Avg ms'.padStart(8)} | ${'Max ms'.padStart(8)} | ${'Offers transferred'.padStart(18)}`);
+        this.log('-'.repeat(70));
+        Object.entries(results).forEach(([name, stats]) => {
+            this.log(`${name.padEnd(15)} | ${stats.totalMs.toString().padStart(9)} | ${stats.avgMs.toFixed(1).padStart(8)} | ${stats.maxMs.toString().padStart(8)} | ${stats.offersTransferred.toString().padStart(18)}`);
+        });
+        this.log('-'.repeat(70));
+        this.log(identical
+            ? '✅ Both implementations returned identical pages'
+            : '⚠️ Implementations returned different pages (check seller IDs and tie-breaking)');
+
+        return { gameCategory, pages, limit, seed, totalCount, identical, results };
     }
 
     // Display results in a formatted table
@@ -479,14 +2126,24 @@ class FairMarketplace {
         const sellerLength = this.config.display.maxSellerNameLength;
         const priceWidth = this.config.display.priceDisplayWidth;
 
-        console.log(`\n📋 Results - ${result.method}`);
-        console.log('='.repeat(tableWidth));
-        console.log(`Page ${result.pagination.page} of ${result.pagination.totalPages} | Total: ${result.pagination.total} offers`);
-        if (result.seed) console.log(`Seed: ${result.seed}`);
-        console.log('-'.repeat(tableWidth));
+        this.log(`\n📋 Results - ${result.method}`);
+        this.log('='.repeat(tableWidth));
+        this.log(`Page ${result.pagination.page} of ${result.pagination.totalPages} | Total: ${result.pagination.total} offers`);
+        if (result.seed) this.log(`Seed: ${result.seed}`);
+        if (result.filters && Object.keys(result.filters).length > 0) this.log(`Filters: ${JSON.stringify(result.filters)}`);
+        if (result.categories) this.log(`Categories: ${result.categories.map(category => `${category} (${result.categoryTotals[category]})`).join(', ')}`);
+        if (result.sellerScores) {
+            const topSellers = result.sellerScores.slice(0, 5)
+                .map(seller => `${seller.sellerId} (${seller.score.toFixed(2)})`)
+                .join(', ');
+            this.log(`Round order: ${topSellers}${result.sellerScores.length > 5 ? ', ...' : ''}`);
+        }
+        if (result.diversity) this.log(`Seller gap: ${result.diversity.minGap} | Violations on page: ${result.diversity.violations} | Offers scanned: ${result.diversity.offersScanned}`);
+        if (result.sponsored) this.log(`Sponsored: ${result.sponsored.injected} offer(s) in slots ${result.sponsored.slots.join(', ')} | Impressions charged: ${result.sponsored.impressionsRecorded}`);
+        this.log('-'.repeat(tableWidth));
 
         result.offers.forEach((offer, index) => {
-            console.log(`${(index + 1).toString().padStart(2)}. ${offer.title.padEnd(titleLength)} | ${offer.sellerId.padEnd(sellerLength)} | $${offer.price.toString().padStart(priceWidth)} | ⭐${offer.rating}`);
+            this.log(`${(index + 1).toString().padStart(2)}. ${offer.title.padEnd(titleLength)} | ${offer.sellerId.padEnd(sellerLength)} | $${offer.price.toString().padStart(priceWidth)} | ⭐${offer.rating}${result.categories ? ` | ${offer.gameCategory}` : ''}${offer.sponsored ? ' | 📣 Sponsored' : ''}`);
         });
 
         // Show seller distribution in current page
@@ -495,20 +2152,46 @@ class FairMarketplace {
             sellerCounts[offer.sellerId] = (sellerCounts[offer.sellerId] || 0) + 1;
         });
 
-        console.log('-'.repeat(tableWidth));
-        console.log('Seller distribution on this page:');
+        const { page, limit, total, totalPages } = result.pagination;
+        const organicShown = result.offers.filter(offer => !offer.sponsored).length;
+        const firstShown = total > 0 && organicShown > 0 ? (page - 1) * limit + 1 : 0;
+        this.log('-'.repeat(tableWidth));
+        this.log(`Showing ${firstShown}-${firstShown + Math.max(organicShown - 1, 0)} of ${total} reachable offers | Page ${page} of ${totalPages}`);
+
+        this.log('-'.repeat(tableWidth));
+        this.log('Seller distribution on this page:');
         Object.entries(sellerCounts)
             .sort(([, a], [, b]) => b - a)
             .forEach(([seller, count]) => {
-                console.log(`  ${seller}: ${count} offer${count > 1 ? 's' : ''}`);
+                this.log(`  ${seller}: ${count} offer${count > 1 ? 's' : ''}`);
             });
+
+        if (result.pagination.nextCursor) {
+            this.log('-'.repeat(tableWidth));
+            this.log(`➡️  Next page: --cursor ${result.pagination.nextCursor}`);
+        }
     }
 }
 
 // CLI Command Handler
 class CLIHandler {
-    constructor() {
-        this.marketplace = new FairMarketplace();
+    constructor(marketplace = new FairMarketplace()) {
+        this.marketplace = marketplace;
+        this.format = 'table';
+        this.commands = this.buildCommandSpecs();
+    }
+
+    // Take --format out of the arguments; any format but table silences the decorative output
+    setOutputFormat(args) {
+        const { value: format, args: remainingArgs } = this.extractFlag(args, '--format');
+        if (format !== null) {
+            if (!OUTPUT_FORMATS.includes(format)) {
+                throw new Error(`Unknown format "${format}". Use: ${OUTPUT_FORMATS.join(', ')}`);
+            }
+            this.format = format;
+        }
+        this.marketplace.quiet = this.format !== 'table';
+        return remainingArgs;
     }
 
     async init() {
@@ -520,92 +2203,516 @@ class CLIHandler {
         await this.marketplace.disconnect();
     }
 
-    async handleCommand(args) {
-        const command = args[2];
+    // Positional arguments and named flags of every command (see cli-args.js)
+    buildCommandSpecs() {
+        const appConfig = this.marketplace.config.app;
+        const categories = appConfig.seeding.gameCategories;
+        const category = { type: 'choice', choices: categories, label: 'category', placeholder: 'category', description: `Game category (${categories.join(', ')})` };
+        const registry = this.marketplace.registry;
+        const method = { type: 'choice', choices: registry.acceptedNames(), label: 'method', placeholder: 'method', description: `Distribution method (${registry.names().join(', ')})` };
+
+        // Strategy parameters become search flags, e.g. quota's maxPerSeller -> --max-per-seller
+        const strategyFlags = {};
+        registry.list().forEach(strategy => {
+            Object.entries(strategy.params).forEach(([name, definition]) => {
+                const flag = kebabCase(name);
+                if (!strategyFlags[flag]) {
+                    strategyFlags[flag] = { ...definition, description: `${strategy.label}: ${definition.description || name}` };
+                }
+            });
+        });
+        const offerId = { type: 'string', placeholder: 'id', description: 'Offer ID (e.g. offer_12)' };
+
+        return {
+            config: {
+                usage: 'config',
+                summary: 'Show the current configuration',
+                options: {}
+            },
+            seed: {
+                usage: 'seed [offers] [sellers] [--mode reset|append|day] [--days N] [--distribution uniform|power-law] [--faker-seed N]',
+                summary: 'Generate sample offers and seller profiles, append to them, or simulate marketplace days',
+                positional: ['offers', 'sellers'],
+                options: {
+                    offers: { type: 'int', min: 1, description: `Offers to generate (default: ${appConfig.seeding.defaultOfferCount})` },
+                    sellers: { type: 'int', min: 1, description: `Sellers to generate (default: ${appConfig.seeding.defaultSellerCount})` },
+                    mode: { type: 'choice', choices: ['reset', 'append', 'day'], label: 'mode', placeholder: 'reset|append|day', description: 'reset wipes and reseeds, append adds offers, day simulates marketplace days (default: reset)' },
+                    days: { type: 'int', min: 1, description: 'Days to simulate with --mode day (default: 1)' },
+                    distribution: { type: 'choice', choices: ['uniform', 'power-law'], label: 'distribution', placeholder: 'uniform|power-law', description: `Offers per seller (default: ${appConfig.seeding.sellerDistribution})` },
+                    'faker-seed': { type: 'int', description: 'Seed for repeatable generated data' }
+                },
+                examples: ['seed 150 20', 'seed --offers 50 --mode append', 'seed --mode day --days 3 --faker-seed 42']
+            },
+            search: {
+                usage: 'search [category] [method] [page] [limit] [seed]   (quota: ... [limit] [maxPerSeller] [seed])',
+                summary: 'Search offers with a distribution method',
+                // Strategies may take parameters before the seed, as quota historically does with maxPerSeller
+                positional: (values) => {
+                    const strategy = registry.get(values[1] || 'hash-round-robin');
+                    const strategyParams = strategy ? strategy.positionalParams.map(kebabCase) : [];
+                    return ['category', 'method', 'page', 'limit', ...strategyParams, 'seed'];
+                },
+                options: {
+                    category: { type: 'list', choices: categories, allowAll: true, label: 'category', placeholder: 'category', description: 'Category, comma-separated categories or "all"' },
+                    method: { ...method, description: `${method.description}; default: hash-round-robin` },
+                    page: { type: 'int', min: 1, description: 'Page number (default: 1)' },
+                    limit: { type: 'int', min: 1, max: appConfig.maxPageSize, description: `Page size (default: ${appConfig.defaultPageSize})` },
+                    seed: { type: 'int', description: 'Random seed (default: changes every seed interval)' },
+                    ...strategyFlags,
+                    filter: { type: 'string', placeholder: 'filters', description: 'Filters, e.g. minPrice=20,minRating=4,inStock=true,tags=co-op+pvp' },
+                    cursor: { type: 'string', placeholder: 'token', description: 'Continue hash-round-robin from a "Next page" token' },
+                    query: { type: 'string', placeholder: 'keyword', description: 'Keyword search on titles and descriptions' },
+                    relevance: { type: 'number', min: 0, max: 1, description: 'Blend keyword relevance into each seller\'s offer order (0-1)' },
+                    'min-gap': { type: 'int', min: 0, description: 'Other offers required between two offers of one seller' },
+                    'balance-categories': { type: 'boolean', description: 'Deal categories round-robin in multi-category feeds' },
+                    'no-sponsored': { type: 'boolean', description: 'Hide sponsored offers' },
+                    track: { type: 'boolean', description: 'Record impression events and charge sponsored offers' }
+                },
+                examples: [
+                    'search RPG true-round-robin 1 10',
+                    'search --category RPG --method quota --max-per-seller 3 --seed 42',
+                    'search --category RPG,Strategy --balance-categories --filter minRating=4'
+                ]
+            },
+            click: {
+                usage: 'click [offerId] [method] [page] [position]',
+                summary: 'Record a click event',
+                positional: ['offer-id', 'method', 'page', 'position'],
+                options: {
+                    'offer-id': offerId,
+                    method: { type: 'string', placeholder: 'name', description: 'Distribution method the offer was shown by (e.g. hash-round-robin)' },
+                    page: { type: 'int', min: 1, description: 'Page the offer was on' },
+                    position: { type: 'int', min: 1, description: 'Position on the page' }
+                },
+                examples: ['click offer_12 hash-round-robin 1 3']
+            },
+            report: {
+                usage: 'report [hours] [method]',
+                summary: 'CTR by seller, position and method from the events collection',
+                positional: ['hours', 'method'],
+                options: {
+                    hours: { type: 'number', min: 0, description: 'Window in hours (default: 24)' },
+                    method: { type: 'string', placeholder: 'name', description: 'Only events from this distribution method (e.g. hash-round-robin)' }
+                }
+            },
+            stats: {
+                usage: 'stats [category]',
+                summary: 'Seller statistics joined with seller profiles',
+                positional: ['category'],
+                options: {
+                    category: { ...category, description: `${category.description}; default: all categories` }
+                }
+            },
+            compare: {
+                usage: 'compare [category] [limit] [pages] [--seed n] [--json]',
+                summary: 'Compare distribution fairness across the first N pages',
+                positional: ['category', 'limit', 'pages'],
+                options: {
+                    category,
+                    limit: { type: 'int', min: 1, max: appConfig.maxPageSize, description: 'Page size (default: 20)' },
+                    pages: { type: 'int', min: 1, description: 'Pages per method (default: 1)' },
+                    seed: { type: 'int', description: 'Seed shared by every method and page (default: current seed interval)' },
+                    json: { type: 'boolean', description: 'Also print the comparison as JSON after the table' }
+                }
+            },
+            benchmark: {
+                usage: 'benchmark [category] [pages] [limit] [seed]',
+                summary: 'Benchmark server-side vs in-memory true round-robin',
+                positional: ['category', 'pages', 'limit', 'seed'],
+                options: {
+                    category,
+                    pages: { type: 'int', min: 1, description: 'Pages to fetch (default: 5)' },
+                    limit: { type: 'int', min: 1, max: appConfig.maxPageSize, description: `Page size (default: ${appConfig.defaultPageSize})` },
+                    seed: { type: 'int', description: 'Random seed shared by both implementations' }
+                }
+            },
+            sponsor: {
+                usage: 'sponsor [offerId] [budget] [bid] [days]',
+                summary: 'Start a sponsorship campaign on an offer',
+                positional: ['offer-id', 'budget', 'bid', 'days'],
+                options: {
+                    'offer-id': offerId,
+                    budget: { type: 'number', min: 0, description: 'Campaign budget (default: 20)' },
+                    bid: { type: 'number', min: 0, description: 'Charge per impression (default: 0.1)' },
+                    days: { type: 'number', min: 0, description: 'Campaign length in days (default: 7)' }
+                }
+            },
+            reserve: {
+                usage: 'reserve [offerId] [quantity]',
+                summary: 'Atomically reserve stock',
+                positional: ['offer-id', 'quantity'],
+                options: {
+                    'offer-id': offerId,
+                    quantity: { type: 'int', min: 1, description: 'Units to reserve (default: 1)' }
+                }
+            },
+            simulate: {
+                usage: 'simulate [method] [sessions] [seedIntervals] [limit] [--track]',
+                summary: 'Replay synthetic shopper sessions and report seller exposure',
+                positional: ['method', 'sessions', 'seed-intervals', 'limit'],
+                options: {
+                    method: { ...method, description: `${method.description}; default: hash-round-robin` },
+                    sessions: { type: 'int', min: 1, description: `Shopper sessions (default: ${appConfig.simulation.defaultSessions})` },
+                    'seed-intervals': { type: 'int', min: 1, description: `Seed intervals covered (default: ${appConfig.simulation.defaultSeedIntervals})` },
+                    limit: { type: 'int', min: 1, max: appConfig.maxPageSize, description: `Page size (default: ${appConfig.defaultPageSize})` },
+                    track: { type: 'boolean', description: 'Also write impression and synthetic click events' }
+                }
+            },
+            'shuffle-test': {
+                usage: 'shuffle-test [numSellers] [seeds] [category]',
+                summary: 'Verify the seeded seller shuffle is uniform across positions',
+                positional: ['sellers', 'seeds', 'category'],
+                options: {
+                    sellers: { type: 'int', min: 2, description: `Synthetic sellers (default: ${appConfig.seeding.defaultSellerCount})` },
+                    seeds: { type: 'int', min: 1, description: 'Seeds to test (default: 10000)' },
+                    category: { ...category, description: `${category.description}; shuffles its real sellers instead` }
+                }
+            },
+            debug: {
+                usage: 'debug [category]',
+                summary: 'Debug distribution algorithms',
+                positional: ['category'],
+                options: { category }
+            }
+        };
+    }
 
+    async handleCommand(args) {
         try {
+            args = this.setOutputFormat(args);
+            const command = args[2];
+
+            if (!command || command === 'help') {
+                this.showHelp(args[3]);
+                return;
+            }
+
+            const spec = this.commands[command];
+            if (!spec) {
+                console.error(`❌ Unknown command "${command}". Use "help" for available commands.`);
+                process.exitCode = 1;
+                return;
+            }
+
+            const { options, help } = parseCommandArgs(command, spec, args.slice(3));
+            if (help) {
+                console.log(formatCommandHelp(command, spec));
+                return;
+            }
+
+            const appConfig = this.marketplace.config.app;
+            const defaultCategory = appConfig.seeding.gameCategories[0];
+
             switch (command) {
                 case 'config':
-                    this.showConfigInfo();
+                    this.output(this.showConfigInfo());
                     break;
 
                 case 'seed':
-                    const numOffers = parseInt(args[3]) || this.marketplace.config.app.seeding.defaultOfferCount;
-                    const numSellers = parseInt(args[4]) || this.marketplace.config.app.seeding.defaultSellerCount;
-                    await this.marketplace.seedData(numOffers, numSellers);
+                    const seedOptions = {
+                        mode: options.mode || 'reset',
+                        sellerDistribution: options.distribution || null,
+                        fakerSeed: options.fakerSeed !== undefined ? options.fakerSeed : null
+                    };
+
+                    if (seedOptions.mode === 'day') {
+                        this.output(await this.marketplace.simulateMarketplaceDays(options.days || 1, seedOptions));
+                        break;
+                    }
+                    const numOffers = options.offers || appConfig.seeding.defaultOfferCount;
+                    const numSellers = options.sellers || appConfig.seeding.defaultSellerCount;
+                    this.output(await this.marketplace.seedData(numOffers, numSellers, seedOptions));
                     break;
 
                 case 'search':
-                    const gameCategory = args[3] || this.marketplace.config.app.seeding.gameCategories[0];
-                    const method = args[4] || 'hash-round-robin';
-                    const page = parseInt(args[5]) || 1;
-                    const limit = parseInt(args[6]) || this.marketplace.config.app.defaultPageSize;
-                    const customSeed = args[7] ? parseInt(args[7]) : null;
-
-                    let result;
-                    switch (method) {
-                        case 'hash-round-robin':
-                        case 'round-robin':
-                            result = await this.marketplace.getOffersHashRoundRobin(gameCategory, page, limit, customSeed);
-                            break;
-                        case 'true-round-robin':
-                            result = await this.marketplace.getOffersTrueRoundRobin(gameCategory, page, limit, customSeed);
-                            break;
-                        case 'weighted':
-                            result = await this.marketplace.getOffersWeightedRandom(gameCategory, page, limit);
-                            break;
-                        case 'quota':
-                            const maxPerSeller = parseInt(args[7]) || this.marketplace.config.app.quota.defaultMaxOffersPerSeller;
-                            result = await this.marketplace.getOffersQuotaBased(gameCategory, page, limit, maxPerSeller);
-                            break;
-                        default:
-                            console.log('❌ Unknown method. Use: hash-round-robin, true-round-robin, weighted, or quota');
-                            return;
+                    const filters = options.filter ? this.parseFilters(options.filter) : {};
+                    if (options.query) {
+                        filters.keyword = options.query;
+                    }
+                    if (options.relevance !== undefined) {
+                        filters.relevanceWeight = options.relevance;
+                    }
+
+                    // A comma-separated list or "all" searches several categories at once
+                    const categoryOption = options.category || [defaultCategory];
+                    const gameCategory = Array.isArray(categoryOption) && categoryOption.length === 1 ? categoryOption[0] : categoryOption;
+                    const method = options.method || 'hash-round-robin';
+                    const page = options.page || 1;
+                    const limit = options.limit || appConfig.defaultPageSize;
+
+                    // Strategy parameters that were given (--max-per-seller, --tier-quotas, plugin flags)
+                    const strategyParams = {};
+                    this.marketplace.registry.list().forEach(strategy => {
+                        Object.keys(strategy.params)
+                            .filter(name => options[name] !== undefined)
+                            .forEach(name => { strategyParams[name] = options[name]; });
+                    });
+
+                    const result = await this.marketplace.runDistributionMethod(method, gameCategory, page, limit, {
+                        ...strategyParams,
+                        seed: options.seed || null,
+                        cursor: options.cursor || null,
+                        filters,
+                        minGap: options.minGap,
+                        balanceCategories: Boolean(options.balanceCategories),
+                        sponsored: appConfig.sponsorship.enabled && !options.noSponsored,
+                        // Budgets are only charged for tracked searches, as with the API's track=true
+                        chargeSponsored: Boolean(options.track)
+                    });
+
+                    // Only tracked searches feed the engagement data quality-round-robin samples from
+                    if (options.track) {
+                        await this.marketplace.recordImpression(result);
                     }
 
                     this.marketplace.displayResults(result);
+                    this.output(result, result.offers.map((offer, index) => ({
+                        position: (result.pagination.page - 1) * result.pagination.limit + index + 1,
+                        method: result.method,
+                        seed: result.seed,
+                        ...offer
+                    })));
+                    break;
+
+                case 'click':
+                    if (!options.offerId) {
+                        throw new Error('Please provide an offer ID');
+                    }
+                    const clickEvent = await this.marketplace.recordClick(options.offerId, {
+                        method: options.method || null,
+                        page: options.page || null,
+                        position: options.position || null
+                    });
+                    this.marketplace.log(`✅ Recorded click on ${options.offerId} (${clickEvent.sellerId})`);
+                    this.output(clickEvent);
+                    break;
+
+                case 'report':
+                    const report = await this.marketplace.getEngagementReport(options.hours || 24, options.method || null);
+                    this.output(report, [
+                        ...report.byMethod.map(row => ({ dimension: 'method', ...row })),
+                        ...report.byPosition.map(row => ({ dimension: 'position', ...row })),
+                        ...report.bySeller.map(row => ({ dimension: 'seller', ...row }))
+                    ]);
                     break;
 
                 case 'stats':
-                    const statsCategory = args[3];
-                    await this.marketplace.getSellerStats(statsCategory);
+                    const stats = await this.marketplace.getSellerStats(options.category);
+                    this.output(stats, stats);
                     break;
 
                 case 'compare':
-                    const compareCategory = args[3] || this.marketplace.config.app.seeding.gameCategories[0];
-                    const compareLimit = parseInt(args[4]) || 20;
-                    await this.marketplace.compareDistributionMethods(compareCategory, compareLimit);
+                    const compareCategory = options.category || defaultCategory;
+                    const compareLimit = options.limit || 20;
+                    const comparePages = options.pages || 1;
+                    const comparison = await this.marketplace.compareDistributionMethods(compareCategory, compareLimit, comparePages, Boolean(options.json), options.seed || null);
+                    // Rows carry the summary metrics; the per-seller maps are only in the json output
+                    this.output({ gameCategory: compareCategory, limit: compareLimit, pages: comparePages, seed: comparison.length > 0 ? comparison[0].seed : null, methods: comparison }, comparison.map(entry => {
+                        if (!entry.metrics) {
+                            return entry;
+                        }
+                        const { impressions, exposure, exposureInventoryRatio, ...metrics } = entry.metrics;
+                        return { method: entry.method, seed: entry.seed, reachableOffers: entry.reachableOffers, ...metrics };
+                    }));
                     break;
 
-                case 'debug':
-                    const debugCategory = args[3] || this.marketplace.config.app.seeding.gameCategories[0];
-                    await this.debugRoundRobin(debugCategory);
+                case 'benchmark':
+                    const benchmark = await this.marketplace.benchmarkTrueRoundRobin(
+                        options.category || defaultCategory,
+                        options.pages || 5,
+                        options.limit || appConfig.defaultPageSize,
+                        options.seed || null
+                    );
+                    this.output(benchmark, Object.entries(benchmark.results).map(([implementation, { pageIds, ...timings }]) => ({
+                        implementation,
+                        ...timings,
+                        identical: benchmark.identical
+                    })));
                     break;
 
-                case 'help':
-                    this.showHelp();
+                case 'sponsor':
+                    if (!options.offerId) {
+                        throw new Error('Please provide an offer ID');
+                    }
+                    const sponsorship = await this.marketplace.setSponsorship(options.offerId, options.budget || 20, options.bid || 0.1, options.days || 7);
+                    this.output({ offerId: options.offerId, ...sponsorship });
                     break;
 
-                default:
-                    console.log('❌ Unknown command. Use "help" for available commands.');
+                case 'reserve':
+                    if (!options.offerId) {
+                        throw new Error('Please provide an offer ID');
+                    }
+                    const reservation = await this.marketplace.reserveStock(options.offerId, options.quantity || 1);
+                    if (reservation.reserved) {
+                        this.marketplace.log(`✅ Reserved ${reservation.quantity} of ${options.offerId} (${reservation.remainingStock} left)`);
+                    } else {
+                        this.marketplace.log(`❌ Cannot reserve ${reservation.quantity} of ${options.offerId}: only ${reservation.availableStock} in stock`);
+                    }
+                    this.output(reservation);
+                    break;
+
+                case 'simulate':
+                    const simulation = await this.marketplace.simulateShopperSessions(
+                        options.method || 'hash-round-robin',
+                        options.sessions || appConfig.simulation.defaultSessions,
+                        options.seedIntervals || appConfig.simulation.defaultSeedIntervals,
+                        options.limit || appConfig.defaultPageSize,
+                        Boolean(options.track)
+                    );
+                    this.output(simulation, simulation.sellers);
+                    break;
+
+                case 'shuffle-test':
+                    const shuffleReport = await this.marketplace.runShuffleTest(
+                        options.sellers || appConfig.seeding.defaultSellerCount,
+                        options.seeds || 10000,
+                        options.category || null
+                    );
+                    if (shuffleReport) {
+                        // The seller x position count matrix is only in the json output
+                        const { counts, ...shuffleSummary } = shuffleReport;
+                        this.output(shuffleReport, [shuffleSummary]);
+                    }
+                    break;
+
+                case 'debug':
+                    const debugReport = await this.debugRoundRobin(options.category || defaultCategory);
+                    if (debugReport) {
+                        this.output(debugReport, debugReport.sellers);
+                    }
+                    break;
             }
         } catch (error) {
             console.error('❌ Command failed:', error.message);
+            // Scripts (e.g. --format json pipelines) see the failure in the exit code
+            process.exitCode = 1;
+        }
+    }
+
+    // Remove "--name value" or "--name=value" from the arguments, returning the value and the remaining arguments
+    extractFlag(args, name) {
+        const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+        if (index === -1) {
+            return { value: null, args };
+        }
+        if (args[index] !== name) {
+            return { value: args[index].slice(name.length + 1), args: [...args.slice(0, index), ...args.slice(index + 1)] };
+        }
+        if (args[index + 1] === undefined) {
+            throw new Error(`Missing value for ${name}`);
+        }
+        return { value: args[index + 1], args: [...args.slice(0, index), ...args.slice(index + 2)] };
+    }
+
+    // Parse "minPrice=10,maxPrice=50,minRating=4,inStock=true,tags=co-op+pvp,createdAfter=2024-01-01"
+    // Numbers and booleans are validated like every other flag value (parseValue)
+    parseFilters(filterString) {
+        const filters = {};
+
+        filterString.split(',').filter(Boolean).forEach(pair => {
+            const [key, rawValue] = pair.split('=');
+            if (rawValue === undefined || rawValue === '') {
+                throw new Error(`Invalid filter "${pair}". Use key=value`);
+            }
+
+            switch (key) {
+                case 'minPrice':
+                case 'maxPrice':
+                case 'minRating':
+                    filters[key] = parseValue(key, rawValue, { type: 'number' }, `filter ${key}`);
+                    break;
+                case 'inStock':
+                case 'excludeOutOfStock':
+                case 'demoteLowStock':
+                    filters[key] = parseValue(key, rawValue, { type: 'boolean' }, `filter ${key}`);
+                    break;
+                case 'tags':
+                    filters.tags = rawValue.split('+');
+                    break;
+                case 'createdAfter':
+                case 'createdBefore':
+                    if (isNaN(Date.parse(rawValue))) {
+                        throw new Error(`Filter ${key} must be a date`);
+                    }
+                    filters[key] = rawValue;
+                    break;
+                default:
+                    throw new Error(`Unknown filter "${key}". Use: minPrice, maxPrice, minRating, inStock, excludeOutOfStock, demoteLowStock, tags, createdAfter, createdBefore`);
+            }
+        });
+
+        return filters;
+    }
+
+    // Print a command result in the selected machine-readable format; in table format the command
+    // has already printed its own tables. json prints the whole result, ndjson and csv one record per row
+    output(result, rows = [result]) {
+        switch (this.format) {
+            case 'json':
+                process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+                break;
+            case 'ndjson':
+                rows.forEach(row => process.stdout.write(`${JSON.stringify(row)}\n`));
+                break;
+            case 'csv':
+                process.stdout.write(this.toCsv(rows));
+                break;
         }
     }
 
+    // CSV with one column per flattened field, in order of first appearance
+    toCsv(rows) {
+        const flatRows = rows.map(row => this.flattenRow(row));
+        const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+        if (columns.length === 0) {
+            return '';
+        }
+
+        const escape = (value) => {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...flatRows.map(row => columns.map(column => escape(row[column])).join(','))
+        ].join('\n') + '\n';
+    }
+
+    // Flatten nested objects into dot-separated columns (profile.tier); arrays become "a|b" cells
+    flattenRow(row, prefix = '', flat = {}) {
+        Object.entries(row).forEach(([key, value]) => {
+            const column = prefix ? `${prefix}.${key}` : key;
+            if (value instanceof Date) {
+                flat[column] = value.toISOString();
+            } else if (value instanceof ObjectId) {
+                flat[column] = value.toHexString();
+            } else if (Array.isArray(value)) {
+                flat[column] = value.map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : item)).join('|');
+            } else if (value !== null && typeof value === 'object') {
+                this.flattenRow(value, column, flat);
+            } else {
+                flat[column] = value;
+            }
+        });
+        return flat;
+    }
+
     async debugRoundRobin(gameCategory) {
-        console.log(`\n🔍 Debugging Round-Robin for ${gameCategory}`);
-        console.log('='.repeat(50));
+        this.marketplace.log(`\n🔍 Debugging Round-Robin for ${gameCategory}`);
+        this.marketplace.log('='.repeat(50));
 
         try {
             // Check basic data availability
             const totalOffers = await this.marketplace.collection.countDocuments({ gameCategory });
-            console.log(`Total offers in ${gameCategory}: ${totalOffers}`);
+            this.marketplace.log(`Total offers in ${gameCategory}: ${totalOffers}`);
 
             if (totalOffers === 0) {
-                console.log('❌ No offers found. Run "node marketplace.js seed" first.');
-                return;
+                this.marketplace.log('❌ No offers found. Run "node marketplace.js seed" first.');
+                return null;
             }
 
             // Check seller distribution
@@ -620,32 +2727,36 @@ class CLIHandler {
                 { $sort: { count: -1 } }
             ]).toArray();
 
-            console.log(`\nSellers in ${gameCategory}:`);
+            this.marketplace.log(`\nSellers in ${gameCategory}:`);
             sellerStats.forEach(seller => {
-                console.log(`  ${seller._id}: ${seller.count} offers`);
+                this.marketplace.log(`  ${seller._id}: ${seller.count} offers`);
             });
 
-            // Test both round-robin methods
-            console.log('\n🧪 Testing hash round-robin...');
-            const hashResult = await this.marketplace.getOffersHashRoundRobin(gameCategory, 1, 5);
-            console.log(`Hash round-robin returned ${hashResult.offers.length} offers`);
-
-            console.log('\n🧪 Testing true round-robin...');
-            const trueResult = await this.marketplace.getOffersTrueRoundRobin(gameCategory, 1, 5);
-            console.log(`True round-robin returned ${trueResult.offers.length} offers`);
-
-            // Show distributions
-            const hashDistribution = {};
-            hashResult.offers.forEach(offer => {
-                hashDistribution[offer.sellerId] = (hashDistribution[offer.sellerId] || 0) + 1;
-            });
-            console.log('Hash distribution:', hashDistribution);
+            // Run the first page of every registered strategy and show its seller distribution
+            const methods = {};
+            for (const strategy of this.marketplace.registry.list()) {
+                this.marketplace.log(`\n🧪 Testing ${strategy.label}...`);
+                try {
+                    const result = await this.marketplace.fetchDistributionPage(strategy.name, gameCategory, 1, 5, { ...strategy.compareOptions });
+                    const distribution = {};
+                    result.offers.forEach(offer => {
+                        distribution[offer.sellerId] = (distribution[offer.sellerId] || 0) + 1;
+                    });
+                    this.marketplace.log(`${strategy.label} returned ${result.offers.length} offers`);
+                    this.marketplace.log('Distribution:', distribution);
+                    methods[strategy.name] = { offers: result.offers.length, distribution };
+                } catch (error) {
+                    console.error(`  ❌ ${strategy.label} failed:`, error.message);
+                    methods[strategy.name] = { error: error.message };
+                }
+            }
 
-            const trueDistribution = {};
-            trueResult.offers.forEach(offer => {
-                trueDistribution[offer.sellerId] = (trueDistribution[offer.sellerId] || 0) + 1;
-            });
-            console.log('True distribution:', trueDistribution);
+            return {
+                gameCategory,
+                totalOffers,
+                sellers: sellerStats.map(seller => ({ sellerId: seller._id, offers: seller.count })),
+                methods
+            };
 
         } catch (error) {
             console.error('❌ Debug failed:', error);
@@ -653,43 +2764,122 @@ class CLIHandler {
     }
 
     showConfigInfo() {
-        console.log('\n⚙️ Current Configuration:');
-        console.log('='.repeat(50));
-        console.log(`Database: ${getDatabaseName()}`);
-        console.log(`Collection: ${this.marketplace.config.database.collectionName}`);
-        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-        console.log(`Default Page Size: ${this.marketplace.config.app.defaultPageSize}`);
-        console.log(`Game Categories: ${this.marketplace.config.app.seeding.gameCategories.join(', ')}`);
-        console.log(`Max Offers per Seller: ${this.marketplace.config.app.quota.defaultMaxOffersPerSeller}`);
-        console.log(`Seed Update Interval: ${this.marketplace.config.app.roundRobin.seedUpdateIntervalMinutes} minutes`);
-    }
-
-    showHelp() {
+        const info = {
+            database: this.marketplace.databaseName,
+            collection: this.marketplace.collectionNames.offers,
+            environment: process.env.NODE_ENV || 'development',
+            defaultPageSize: this.marketplace.config.app.defaultPageSize,
+            gameCategories: this.marketplace.config.app.seeding.gameCategories,
+            maxOffersPerSeller: this.marketplace.config.app.quota.defaultMaxOffersPerSeller,
+            seedUpdateIntervalMinutes: this.marketplace.config.app.roundRobin.seedUpdateIntervalMinutes
+        };
+
+        this.marketplace.log('\n⚙️ Current Configuration:');
+        this.marketplace.log('='.repeat(50));
+        this.marketplace.log(`Database: ${this.marketplace.databaseName}`);
+        this.marketplace.log(`Collection: ${this.marketplace.collectionNames.offers}`);
+        this.marketplace.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        this.marketplace.log(`Default Page Size: ${this.marketplace.config.app.defaultPageSize}`);
+        this.marketplace.log(`Game Categories: ${this.marketplace.config.app.seeding.gameCategories.join(', ')}`);
+        this.marketplace.log(`Max Offers per Seller: ${this.marketplace.config.app.quota.defaultMaxOffersPerSeller}`);
+        this.marketplace.log(`Seed Update Interval: ${this.marketplace.config.app.roundRobin.seedUpdateIntervalMinutes} minutes`);
+
+        return info;
+    }
+
+    // Full command overview, or one command's options when a command name is given
+    showHelp(commandName = null) {
+        if (commandName && this.commands[commandName]) {
+            console.log(formatCommandHelp(commandName, this.commands[commandName]));
+            return;
+        }
+
         const defaultCategory = this.marketplace.config.app.seeding.gameCategories[0];
         const defaultPageSize = this.marketplace.config.app.defaultPageSize;
         const defaultMaxPerSeller = this.marketplace.config.app.quota.defaultMaxOffersPerSeller;
+        const strategies = this.marketplace.registry.list();
+        const methodWidth = Math.max(...strategies.map(strategy => strategy.name.length));
+        const methodLines = strategies.map(strategy => `      ${strategy.name.padEnd(methodWidth)}  ${strategy.description}`).join('\n');
 
         console.log(`
 🎮 MongoDB Atlas Fair Marketplace Demo Commands
 
 📝 Setup:
-  node marketplace.js seed [numOffers] [numSellers]
+  node marketplace.js seed [numOffers] [numSellers] [--mode reset|append|day] [--days N] [--distribution uniform|power-law] [--faker-seed N]
     Example: node marketplace.js seed 150 20
+    Append: node marketplace.js seed 50 25 --mode append (adds offers and any new sellers without wiping)
+    Day: node marketplace.js seed --mode day --days 3 (ages offers a day at a time: new listings, sales and sell-outs, price changes, delistings)
+    Skewed sellers: --distribution power-law; repeatable data: --faker-seed 42
     Default: ${this.marketplace.config.app.seeding.defaultOfferCount} offers, ${this.marketplace.config.app.seeding.defaultSellerCount} sellers
 
 🔍 Search:
-  node marketplace.js search [category] [method] [page] [limit] [maxPerSeller]
-    Methods: hash-round-robin, true-round-robin, weighted, quota
+  node marketplace.js search [category] [method] [page] [limit] [maxPerSeller|seed] [--cursor token] [--filter filters]
+    Methods:
+${methodLines}
+    Plugins: every .js file in ${this.marketplace.config.app.distribution.pluginDirectory} that exports { name, run } is added as a method
+    Seed: for round-robin and weighted methods the last positional argument is the seed (weighted draws become reproducible)
+    Quota: node marketplace.js search [category] quota [page] [limit] [maxPerSeller] [seed] (stable seller order across pages)
+    Named flags: --category, --method, --page, --limit, --seed, --max-per-seller, --filter (same as the positional form)
+    Example: node marketplace.js search --category RPG --method quota --max-per-seller 3 --seed 42
+    Tier quotas: add --tier-quotas so quota sellers in an overridden tier (${Object.entries(this.marketplace.config.app.sellers.tierQuotas).map(([tier, quota]) => `${tier}=${quota}`).join(', ')}) get their tier's quota
+    Suspended sellers (sellers collection) are excluded by every method
+    Cursor: continue hash-round-robin from the "Next page" token of the previous page
+    Filters: minPrice, maxPrice, minRating, inStock, tags (joined with +), createdAfter, createdBefore
+    Stock: excludeOutOfStock=true hides sold-out offers, demoteLowStock=true moves offers with stock <= ${this.marketplace.config.app.stock.lowStockThreshold} behind each seller's other offers
+    Example: node marketplace.js search RPG true-round-robin 1 10 --filter minPrice=20,minRating=3.5,tags=co-op+pvp
+    Keyword: --query "dragon" matches titles/descriptions (Atlas Search, or the local text index)
+    Relevance: --relevance 0.5 blends keyword relevance into each seller's offer order (0-1)
+    Example: node marketplace.js search RPG hash-round-robin 1 10 --query dragon --relevance 0.5
+    Categories: "RPG,Strategy,Adventure" or "all" searches several categories; sellers are fair across the combined pool
+    Balanced: --balance-categories deals categories round-robin, keeping each method's seller fairness inside every category
+    Seller gap: --min-gap 1 keeps two offers of one seller apart (also across pages); 2+ widens the gap
+    Add --track to record each shown offer as an impression event (as the API's track=true does)
+    Sponsored offers fill slots ${this.marketplace.config.app.sponsorship.slots.join(', ')} and are charged per impression with --track; add --no-sponsored to hide them
     Categories: ${this.marketplace.config.app.seeding.gameCategories.join(', ')}
     Example: node marketplace.js search ${defaultCategory} hash-round-robin 1 ${defaultPageSize}
 
+📦 Reserve:
+  node marketplace.js reserve [offerId] [quantity]
+    Atomically decrements stock; fails without changes when stock is insufficient
+
+📣 Sponsor:
+  node marketplace.js sponsor [offerId] [budget] [bidPerImpression] [days]
+    Example: node marketplace.js sponsor offer_12 25 0.2 7
+
 📊 Statistics:
   node marketplace.js stats [category]
     Example: node marketplace.js stats ${defaultCategory}
 
 🔬 Compare Methods:
-  node marketplace.js compare [category] [limit]
-    Example: node marketplace.js compare Strategy 25
+  node marketplace.js compare [category] [limit] [pages] [--seed n] [--json]
+    Reports Gini, entropy, max-share, position-weighted exposure and exposure-vs-inventory per method
+    Every method pages with one shared seed, so multi-page metrics never count an offer twice
+    Example: node marketplace.js compare Strategy 25 3 --json
+
+🛒 Simulate:
+  node marketplace.js simulate [method] [sessions] [seedIntervals] [limit] [--track]
+    Replays shopper sessions (random category, page depth from config.app.simulation) and reports
+    each seller's impressions, top-${this.marketplace.config.app.simulation.topSlots} share and stability across seed intervals
+    --track writes impressions and synthetic clicks to the events collection for "report"
+    Example: node marketplace.js simulate true-round-robin 5000 24
+
+👆 Click / 📈 Report:
+  node marketplace.js click [offerId] [method] [page] [position]
+    Records a click event for an offer
+  node marketplace.js report [hours] [method]
+    CTR by seller, position and method over the last [hours] (default 24)
+    Example: node marketplace.js report 6 hash-round-robin
+
+🎲 Shuffle Test:
+  node marketplace.js shuffle-test [numSellers] [seeds] [category]
+    Chi-square check that each seller lands in each position equally often across seeds
+    Uses synthetic mixed-format seller IDs, or the real sellers of [category]
+    Example: node marketplace.js shuffle-test 20 20000
+
+⏱️ Benchmark:
+  node marketplace.js benchmark [category] [pages] [limit] [seed]
+    Compares server-side and in-memory true round-robin on the seeded data
+    Example: node marketplace.js benchmark RPG 10 20
 
 🔍 Debug:
   node marketplace.js debug [category]
@@ -699,8 +2889,19 @@ class CLIHandler {
   node marketplace.js config
     Shows current configuration settings
 
+📤 Output:
+  Add --format json|ndjson|csv to any command for machine-readable output on stdout (no decorative logging)
+    json: the full result object | ndjson/csv: one record per row (offers, sellers, methods, ...)
+    Example: node marketplace.js search RPG true-round-robin 1 10 --format ndjson | jq .sellerId
+
+🏠 Local mode:
+  Add --local to any command (or set MONGODB_MODE=local) to use a local mongod instead of Atlas
+    Starts an embedded mongod when none answers at MONGODB_LOCAL_URI; degraded features are listed on connect
+    Example: node marketplace.js seed 500 20 --local && node marketplace.js search RPG --local
+
 ❓ Help:
   node marketplace.js help
+  node marketplace.js <command> --help (or: help <command>) lists every option of a command
 
 🔧 Environment Setup:
   Set MONGODB_URI environment variable with your Atlas connection string
@@ -716,16 +2917,25 @@ class CLIHandler {
 
 // Main execution
 async function main() {
+    // --local must be known before the marketplace validates its connection settings
+    const argv = applyLocalFlag(process.argv);
     const cli = new CLIHandler();
 
     try {
-        await cli.init();
-        await cli.handleCommand(process.argv);
+        // Resolve --format first so connection messages are silenced too
+        const args = cli.setOutputFormat(argv);
+        // Help needs no database connection
+        if (args[2] && args[2] !== 'help' && !args.includes('--help') && !args.includes('-h')) {
+            await cli.init();
+        }
+        await cli.handleCommand(args);
     } catch (error) {
         console.error('💥 Application error:', error.message);
+        process.exitCode = 1;
     } finally {
         await cli.cleanup();
-        process.exit(0);
+        // Let piped output drain before exiting
+        process.stdout.write('', () => process.exit(process.exitCode || 0));
     }
 }
 
@@ -4,14 +4,24 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const { MongoClient, Decimal128 } = require('mongodb');
+const { Decimal128 } = require('mongodb');
 const { faker } = require('@faker-js/faker');
 const { config, validateConfig, getDatabaseName } = require('./config');
+const { applyLocalFlag, isLocalMode, openDatabase, closeDatabase } = require('./local-mongo');
 
 class PriceConversionSystem {
-    constructor() {
-        this.client = null;
-        this.db = null;
+    // options.client / options.db: an existing MongoClient or Db to share (left open on disconnect)
+    // options.connectionString / options.databaseName: connect somewhere other than the configured cluster
+    // options.collectionNames: { listings, exchangeRates } overriding the default collection names
+    // options.local: run against a local mongod (default: MONGODB_MODE=local or --local)
+    constructor(options = {}) {
+        this.client = options.client || null;
+        this.db = options.db || null;
+        this.ownsClient = !this.client && !this.db;
+        this.localMode = this.ownsClient && (options.local !== undefined ? options.local : isLocalMode());
+        this.localDatabase = null;
+        this.connectionString = options.connectionString || config.database.connectionString;
+        this.databaseName = options.databaseName || (this.db ? this.db.databaseName : getDatabaseName());
         this.listingsCollection = null;
         this.exchangeRatesCollection = null;
         this.config = config;
@@ -21,14 +31,15 @@ class PriceConversionSystem {
         this.pegCurrency = 'USD';
 
         // Collection names
-        this.listingsCollectionName = 'marketplace_listings';
-        this.exchangeRatesCollectionName = 'exchange_rates';
+        const collectionNames = options.collectionNames || {};
+        this.listingsCollectionName = collectionNames.listings || 'marketplace_listings';
+        this.exchangeRatesCollectionName = collectionNames.exchangeRates || 'exchange_rates';
 
         // In-memory cache for exchange rates
         this.exchangeRatesCache = new Map();
 
         // Validate configuration on initialization
-        const configErrors = validateConfig();
+        const configErrors = validateConfig({ connectionString: this.connectionString, external: !this.ownsClient || this.localMode });
         if (configErrors.length > 0) {
             console.error('❌ Configuration errors detected:');
             configErrors.forEach(error => console.error(`  - ${error}`));
@@ -36,31 +47,22 @@ class PriceConversionSystem {
         }
     }
 
+    // Open a client unless one (or a Db) was passed in, then bind the collections
     async connect() {
-        try {
-            this.client = new MongoClient(this.config.database.connectionString, this.config.database.options);
-            await this.client.connect();
-            this.db = this.client.db(getDatabaseName());
-            this.listingsCollection = this.db.collection(this.listingsCollectionName);
-            this.exchangeRatesCollection = this.db.collection(this.exchangeRatesCollectionName);
-
-            if (this.config.environment.enableDebugOutput) {
-                console.log(`🔗 Connected to: ${getDatabaseName()}`);
-                console.log(`📋 Collections: ${this.listingsCollectionName}, ${this.exchangeRatesCollectionName}`);
-            } else {
-                console.log('✅ Connected to MongoDB Atlas');
-            }
-        } catch (error) {
-            console.error('❌ Connection failed:', error.message);
-            throw error;
-        }
+        // Nothing here needs Atlas Search or the newer aggregation stages; only the server is reported
+        await openDatabase(this, {
+            bind: db => {
+                this.listingsCollection = db.collection(this.listingsCollectionName);
+                this.exchangeRatesCollection = db.collection(this.exchangeRatesCollectionName);
+            },
+            checkVersions: false,
+            collectionNames: [this.listingsCollectionName, this.exchangeRatesCollectionName]
+        });
     }
 
+    // Only a client this instance opened is closed; a shared client or Db stays usable
     async disconnect() {
-        if (this.client) {
-            await this.client.close();
-            console.log('🔌 Disconnected from MongoDB Atlas');
-        }
+        await closeDatabase(this);
     }
 
     // Create indexes for optimal performance
@@ -1260,8 +1262,8 @@ class PriceConversionSystem {
 
 // CLI Command Handler
 class PriceConversionCLI {
-    constructor() {
-        this.priceSystem = new PriceConversionSystem();
+    constructor(priceSystem = new PriceConversionSystem()) {
+        this.priceSystem = priceSystem;
     }
 
     async init() {
@@ -1595,6 +1597,9 @@ class PriceConversionCLI {
   node price-conversion.js clear
     Remove all listings and exchange rates
 
+🏠 Local mode:
+  Add --local to any command (or set MONGODB_MODE=local) to use a local mongod instead of Atlas
+
 ❓ Help:
   node price-conversion.js help
 
@@ -1639,11 +1644,13 @@ class PriceConversionCLI {
 
 // Main execution
 async function main() {
+    // --local must be known before the CLI validates its connection settings
+    const argv = applyLocalFlag(process.argv);
     const cli = new PriceConversionCLI();
 
     try {
         await cli.init();
-        await cli.handleCommand(process.argv);
+        await cli.handleCommand(argv);
     } catch (error) {
         console.error('💥 Application error:', error.message);
     } finally {
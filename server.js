@@ -0,0 +1,291 @@
+// MongoDB Atlas Fair Marketplace HTTP API
+// Exposes FairMarketplace search, seller stats and the fairness comparison as JSON over HTTP,
+// sharing one long-lived MongoClient across requests
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const http = require('http');
+const { FairMarketplace } = require('./marketplace');
+const { parseValue } = require('./cli-args');
+const { applyLocalFlag } = require('./local-mongo');
+
+// Error with the HTTP status it should be answered with
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class MarketplaceServer {
+    constructor(marketplace = new FairMarketplace()) {
+        this.marketplace = marketplace;
+        this.config = marketplace.config;
+        this.server = null;
+
+        const appConfig = this.config.app;
+        const categories = appConfig.seeding.gameCategories;
+        const limit = { type: 'int', min: 1, max: appConfig.maxPageSize };
+        const registry = marketplace.registry;
+
+        // Parameters of every registered strategy (e.g. quota's maxPerSeller) are accepted on the offers route
+        this.strategyParams = {};
+        registry.list().forEach(strategy => {
+            Object.entries(strategy.params).forEach(([name, definition]) => {
+                this.strategyParams[name] = this.strategyParams[name] || definition;
+            });
+        });
+
+        // Accepted query parameters per route, validated like the CLI flags
+        this.queryDefinitions = {
+            offers: {
+                method: { type: 'choice', choices: registry.acceptedNames(), label: 'method' },
+                page: { type: 'int', min: 1 },
+                limit,
+                seed: { type: 'int' },
+                cursor: { type: 'string' },
+                track: { type: 'boolean' },
+                ...this.strategyParams
+            },
+            stats: {
+                category: { type: 'choice', choices: categories, label: 'category' }
+            },
+            compare: {
+                category: { type: 'choice', choices: categories, label: 'category' },
+                limit,
+                pages: { type: 'int', min: 1, max: this.config.server.maxComparePages },
+                seed: { type: 'int' }
+            }
+        };
+        this.categoryDefinition = { type: 'list', choices: categories, allowAll: true, label: 'category' };
+
+        this.routes = [
+            { pattern: /^\/categories\/([^/]+)\/offers$/, handler: (match, url) => this.getOffers(match[1], url) },
+            { pattern: /^\/sellers\/stats$/, handler: (match, url) => this.getSellerStats(url) },
+            { pattern: /^\/compare$/, handler: (match, url) => this.compare(url) }
+        ];
+    }
+
+    // Connect once and start listening; the connection is reused by every request
+    async start(port = this.config.server.port, host = this.config.server.host) {
+        await this.marketplace.connect();
+        await this.marketplace.createIndexes();
+
+        // The marketplace methods print tables for the CLI; the API only returns JSON
+        this.marketplace.quiet = true;
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        const address = this.server.address();
+        console.log(`🚀 Marketplace API listening on http://${host}:${address.port}`);
+        return this.server;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+        this.marketplace.quiet = false;
+        await this.marketplace.disconnect();
+    }
+
+    async handleRequest(req, res) {
+        try {
+            // A fixed base: the client-supplied Host header plays no part in routing
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch (error) {
+                throw new HttpError(400, `Malformed request URL "${req.url}"`);
+            }
+
+            const route = this.routes
+                .map(candidate => ({ ...candidate, match: url.pathname.match(candidate.pattern) }))
+                .find(candidate => candidate.match);
+
+            if (!route) {
+                throw new HttpError(404, `No route for ${url.pathname}`);
+            }
+            if (req.method !== 'GET') {
+                res.setHeader('Allow', 'GET');
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+
+            this.sendJson(res, 200, await route.handler(route.match, url));
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) {
+                console.error('❌ Request failed:', error);
+            }
+            this.sendJson(res, status, {
+                error: {
+                    status,
+                    message: status === 500 ? 'Internal server error' : error.message
+                }
+            });
+        }
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+
+    // Validate the query string against a route's definitions; unknown parameters are rejected
+    parseQuery(url, definitions) {
+        const query = {};
+        for (const [name, raw] of url.searchParams) {
+            const definition = definitions[name];
+            if (!definition) {
+                throw new HttpError(400, `Unknown query parameter "${name}". Use: ${Object.keys(definitions).join(', ')}`);
+            }
+            try {
+                query[name] = parseValue(name, raw, definition, name);
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+        }
+        return query;
+    }
+
+    // GET /categories/:category/offers?method=&page=&limit=&seed=&cursor=&track= plus strategy parameters (maxPerSeller, ...)
+    // :category may be one category, a comma-separated list or "all"
+    // Reads have no side effects unless track=true records impressions and bills sponsored placements, so
+    // crawlers, retries and prefetches never spend an advertiser's budget
+    async getOffers(categoryParam, url) {
+        const query = this.parseQuery(url, this.queryDefinitions.offers);
+
+        let categories;
+        try {
+            categoryParam = decodeURIComponent(categoryParam);
+        } catch (error) {
+            throw new HttpError(400, `Malformed category in path: ${categoryParam}`);
+        }
+        try {
+            categories = parseValue('category', categoryParam, this.categoryDefinition, 'category');
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+        const gameCategory = Array.isArray(categories) && categories.length === 1 ? categories[0] : categories;
+
+        if (query.cursor) {
+            try {
+                this.marketplace.decodeCursor(query.cursor);
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+        }
+
+        const method = query.method || 'hash-round-robin';
+        const page = query.page || 1;
+        const limit = query.limit || this.config.app.defaultPageSize;
+
+        // Without a seed weighted pages would be independent $rand draws; the current interval seed
+        // goes into the pagination links so every page comes from the same ordering
+        const seedInterval = this.config.app.roundRobin.seedUpdateIntervalMinutes * 60000;
+        const seed = query.seed || Math.floor(Date.now() / seedInterval);
+
+        const strategyParams = {};
+        Object.keys(this.strategyParams)
+            .filter(name => query[name] !== undefined)
+            .forEach(name => { strategyParams[name] = query[name]; });
+
+        const result = await this.marketplace.runDistributionMethod(method, gameCategory, page, limit, {
+            ...strategyParams,
+            seed,
+            cursor: query.cursor || null,
+            sponsored: this.config.app.sponsorship.enabled,
+            chargeSponsored: Boolean(query.track)
+        });
+        if (query.track) {
+            await this.marketplace.recordImpression(result);
+        }
+
+        result.pagination.links = this.paginationLinks(url, result, query);
+        return result;
+    }
+
+    // Links to neighbouring pages; the result's seed is pinned so every page comes from the same shuffle
+    paginationLinks(url, result, query) {
+        const { page, totalPages, hasNextPage, hasPrevPage, nextCursor } = result.pagination;
+
+        const pageLink = (targetPage, cursor = null) => {
+            const params = new URLSearchParams();
+            Object.entries(query).forEach(([name, value]) => {
+                if (name !== 'page' && name !== 'cursor') {
+                    params.set(name, value);
+                }
+            });
+            if (result.seed !== undefined) {
+                params.set('seed', result.seed);
+            }
+            if (cursor) {
+                params.set('cursor', cursor);
+            } else {
+                params.set('page', targetPage);
+            }
+            return `${url.pathname}?${params.toString()}`;
+        };
+
+        return {
+            self: `${url.pathname}${url.search}`,
+            first: pageLink(1),
+            prev: hasPrevPage ? pageLink(page - 1) : null,
+            next: hasNextPage ? pageLink(page + 1, nextCursor) : null,
+            last: totalPages > 0 ? pageLink(totalPages) : null
+        };
+    }
+
+    // GET /sellers/stats?category=
+    async getSellerStats(url) {
+        const query = this.parseQuery(url, this.queryDefinitions.stats);
+        const sellers = await this.marketplace.getSellerStats(query.category);
+        return { category: query.category || null, sellers };
+    }
+
+    // GET /compare?category=&limit=&pages=&seed=
+    async compare(url) {
+        const query = this.parseQuery(url, this.queryDefinitions.compare);
+        const gameCategory = query.category || this.config.app.seeding.gameCategories[0];
+        const limit = query.limit || 20;
+        const pages = query.pages || 1;
+
+        const methods = await this.marketplace.compareDistributionMethods(gameCategory, limit, pages, false, query.seed || null);
+        return { gameCategory, limit, pages, seed: methods.length > 0 ? methods[0].seed : null, methods };
+    }
+}
+
+// Main execution
+async function main() {
+    // node server.js --local serves from a local mongod
+    applyLocalFlag(process.argv);
+    const apiServer = new MarketplaceServer();
+
+    const shutdown = async () => {
+        await apiServer.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    try {
+        await apiServer.start();
+    } catch (error) {
+        console.error('💥 Server failed to start:', error.message);
+        await apiServer.stop();
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { MarketplaceServer, HttpError };
@@ -0,0 +1,90 @@
+// BigNumbersTest against a throwaway MongoDB (see test/helpers/database.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { databaseUnavailableReason, startTestDatabase, silenceConsole } = require('./helpers/database');
+
+// Compare two non-negative decimal strings with 4 decimals exactly, without going through floats
+const compareDecimalStrings = (a, b) => {
+    const [aInt, aFrac] = a.split('.');
+    const [bInt, bFrac] = b.split('.');
+    if (aInt.length !== bInt.length) {
+        return aInt.length - bInt.length;
+    }
+    return `${aInt}.${aFrac}` < `${bInt}.${bFrac}` ? -1 : `${aInt}.${aFrac}` > `${bInt}.${bFrac}` ? 1 : 0;
+};
+
+describe('BigNumbersTest', async () => {
+    const unavailable = await databaseUnavailableReason();
+    if (unavailable) {
+        it('runs against MongoDB', { skip: unavailable }, () => {});
+        return;
+    }
+
+    let database;
+    let bigNumbers;
+
+    before(async () => {
+        silenceConsole();
+        database = await startTestDatabase('big_numbers');
+
+        const { BigNumbersTest } = require('../big-numbers');
+        bigNumbers = new BigNumbersTest(database.connection);
+        await bigNumbers.connect();
+        await bigNumbers.createIndexes();
+        await bigNumbers.insertTestData(40);
+    });
+
+    after(async () => {
+        if (bigNumbers && bigNumbers.db) {
+            await bigNumbers.db.dropDatabase();
+            await bigNumbers.disconnect();
+        }
+        if (database) {
+            await database.stop();
+        }
+    });
+
+    it('replaces the collection with the requested number of documents', async () => {
+        assert.equal(await bigNumbers.collection.countDocuments(), 40);
+        await bigNumbers.insertTestData(40);
+        assert.equal(await bigNumbers.collection.countDocuments(), 40);
+    });
+
+    it('stores every number as Decimal128 with exactly 4 decimal places', async () => {
+        const documents = await bigNumbers.collection.find({}).toArray();
+        documents.forEach(doc => {
+            assert.equal(doc.bigNumber._bsontype, 'Decimal128');
+            assert.equal(doc.bigNumber.toString(), doc.bigNumberString);
+            assert.match(doc.bigNumber.toString(), /^\d+\.\d{4}$/);
+        });
+    });
+
+    it('sorts by the exact decimal value in both directions', async () => {
+        const ascending = (await bigNumbers.listBigNumbers('bigNumber', 1)).map(doc => doc.bigNumber.toString());
+        assert.deepEqual(ascending, [...ascending].sort(compareDecimalStrings));
+
+        const descending = (await bigNumbers.listBigNumbers('bigNumber', -1, 5)).map(doc => doc.bigNumber.toString());
+        assert.deepEqual(descending, [...ascending].reverse().slice(0, 5));
+    });
+
+    it('searches an inclusive Decimal128 range', async () => {
+        const all = (await bigNumbers.listBigNumbers('bigNumber', 1)).map(doc => doc.bigNumber.toString());
+        const min = all[5];
+        const max = all[30];
+
+        const results = await bigNumbers.searchByRange(min, max);
+        assert.deepEqual(results.map(doc => doc.bigNumber.toString()), all.slice(5, 31));
+
+        const category = results[0].category;
+        const inCategory = await bigNumbers.searchByRange(min, max, category);
+        assert.ok(inCategory.length > 0);
+        inCategory.forEach(doc => assert.equal(doc.category, category));
+    });
+
+    it('looks documents up by ID', async () => {
+        assert.equal(await bigNumbers.getDetailedView('big_num_missing'), null);
+        const doc = await bigNumbers.getDetailedView('big_num_1');
+        assert.equal(doc._id, 'big_num_1');
+    });
+});
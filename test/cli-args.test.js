@@ -0,0 +1,106 @@
+// cli-args.js parsing; no database needed
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseValue, parseCommandArgs, formatCommandHelp, kebabCase } = require('../cli-args');
+
+const spec = {
+    usage: 'search [category] [page]',
+    summary: 'Search offers',
+    positional: ['category', 'page'],
+    options: {
+        category: { type: 'string', description: 'Game category' },
+        page: { type: 'int', min: 1, description: 'Page number' },
+        method: { type: 'choice', choices: ['quota', 'weighted'], label: 'method', description: 'Distribution method' },
+        'max-per-seller': { type: 'int', min: 1, max: 10, description: 'Offers per seller' },
+        track: { type: 'boolean', description: 'Record impressions' }
+    },
+    examples: ['search RPG 2']
+};
+
+describe('parseValue', () => {
+    it('parses integers and enforces their range', () => {
+        assert.equal(parseValue('page', '3', { type: 'int', min: 1 }), 3);
+        assert.throws(() => parseValue('page', '2.5', { type: 'int' }), /Invalid value "2.5" for --page: expected an integer/);
+        assert.throws(() => parseValue('page', '0', { type: 'int', min: 1 }), /must be at least 1/);
+        assert.throws(() => parseValue('page', '11', { type: 'int', max: 10 }), /must be at most 10/);
+    });
+
+    it('parses numbers and rejects blanks and text', () => {
+        assert.equal(parseValue('price', '12.5', { type: 'number' }), 12.5);
+        assert.throws(() => parseValue('price', ' ', { type: 'number' }), /expected a number/);
+        assert.throws(() => parseValue('price', 'cheap', { type: 'number' }), /expected a number/);
+    });
+
+    it('accepts only the declared choices', () => {
+        assert.equal(parseValue('method', 'quota', spec.options.method), 'quota');
+        assert.throws(() => parseValue('method', 'random', spec.options.method), /Unknown method "random" for --method. Use: quota, weighted/);
+    });
+
+    it('parses booleans given as text', () => {
+        assert.equal(parseValue('track', 'true', { type: 'boolean' }), true);
+        assert.equal(parseValue('track', 'false', { type: 'boolean' }), false);
+        assert.throws(() => parseValue('inStock', 'yes', { type: 'boolean' }, 'filter inStock'),
+            /Invalid value "yes" for filter inStock: expected true or false/);
+    });
+
+    it('splits lists and checks every entry', () => {
+        const definition = { type: 'list', choices: ['a', 'b'], allowAll: true };
+        assert.deepEqual(parseValue('only', 'a,b', definition), ['a', 'b']);
+        assert.equal(parseValue('only', 'all', definition), 'all');
+        assert.throws(() => parseValue('only', ',', definition), /Missing value for --only/);
+        assert.throws(() => parseValue('only', 'a,c', definition), /Unknown only "c" for --only. Use: a, b, all/);
+    });
+});
+
+describe('parseCommandArgs', () => {
+    it('maps positional arguments and flags onto the same options', () => {
+        const positional = parseCommandArgs('search', spec, ['RPG', '2']);
+        const flags = parseCommandArgs('search', spec, ['--category', 'RPG', '--page=2']);
+
+        assert.deepEqual(positional, { options: { category: 'RPG', page: 2 }, help: false });
+        assert.deepEqual(flags, positional);
+    });
+
+    it('camel-cases flag names and takes boolean flags without a value', () => {
+        const { options } = parseCommandArgs('search', spec, ['--max-per-seller', '3', '--track']);
+        assert.deepEqual(options, { maxPerSeller: 3, track: true });
+    });
+
+    it('returns only help when --help or -h is given', () => {
+        assert.deepEqual(parseCommandArgs('search', spec, ['RPG', '--help']), { options: {}, help: true });
+        assert.deepEqual(parseCommandArgs('search', spec, ['-h']), { options: {}, help: true });
+    });
+
+    it('rejects unknown, repeated, valueless and conflicting arguments', () => {
+        assert.throws(() => parseCommandArgs('search', spec, ['--sort', 'price']), /Unknown option --sort for "search"/);
+        assert.throws(() => parseCommandArgs('search', spec, ['--page', '1', '--page', '2']), /--page was given more than once/);
+        assert.throws(() => parseCommandArgs('search', spec, ['--page']), /Missing value for --page/);
+        assert.throws(() => parseCommandArgs('search', spec, ['--track=true']), /--track does not take a value/);
+        assert.throws(() => parseCommandArgs('search', spec, ['RPG', '1', 'extra']), /Too many arguments for "search": extra/);
+        assert.throws(() => parseCommandArgs('search', spec, ['RPG', '--category', 'FPS']), /category was given both as an argument and as --category/);
+    });
+
+    it('validates flag values', () => {
+        assert.throws(() => parseCommandArgs('search', spec, ['--max-per-seller', '20']), /must be at most 10/);
+    });
+});
+
+describe('formatCommandHelp', () => {
+    it('lists usage, every flag and the examples', () => {
+        const help = formatCommandHelp('search', spec);
+
+        assert.match(help, /Usage: node marketplace.js search \[category\] \[page\]/);
+        assert.match(help, /--max-per-seller <int>\s+Offers per seller/);
+        assert.match(help, /--track\s+Record impressions/);
+        assert.match(help, /--format <table\|json\|ndjson\|csv>/);
+        assert.match(help, /node marketplace.js search RPG 2/);
+    });
+});
+
+describe('kebabCase', () => {
+    it('turns option names back into flag names', () => {
+        assert.equal(kebabCase('maxPerSeller'), 'max-per-seller');
+        assert.equal(kebabCase('page'), 'page');
+    });
+});
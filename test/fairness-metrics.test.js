@@ -0,0 +1,82 @@
+// fairness-metrics.js; pure functions, no database needed
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    giniCoefficient,
+    shannonEntropy,
+    maxShare,
+    positionWeight,
+    computeFairnessMetrics
+} = require('../fairness-metrics');
+
+describe('giniCoefficient', () => {
+    it('is 0 for equal values and for empty or all-zero input', () => {
+        assert.equal(giniCoefficient([5, 5, 5, 5]), 0);
+        assert.equal(giniCoefficient([]), 0);
+        assert.equal(giniCoefficient([0, 0]), 0);
+    });
+
+    it('approaches 1 when one value holds everything', () => {
+        assert.equal(giniCoefficient([0, 0, 0, 10]), 0.75);
+        assert.ok(Math.abs(giniCoefficient([1, 2, 3, 4]) - 0.25) < 1e-12);
+    });
+});
+
+describe('shannonEntropy', () => {
+    it('is log2(n) bits for n equal values and ignores zeros', () => {
+        assert.equal(shannonEntropy([3, 3, 3, 3]), 2);
+        assert.equal(shannonEntropy([7, 0, 7]), 1);
+        assert.equal(shannonEntropy([9]), 0);
+        assert.equal(shannonEntropy([0, 0]), 0);
+    });
+});
+
+describe('maxShare', () => {
+    it('is the largest fraction of the total', () => {
+        assert.equal(maxShare([1, 1, 2]), 0.5);
+        assert.equal(maxShare([0, 0]), 0);
+    });
+});
+
+describe('positionWeight', () => {
+    it('gives the top slot full weight and decays with depth', () => {
+        assert.equal(positionWeight(1), 1);
+        assert.equal(positionWeight(3), 0.5);
+        assert.ok(positionWeight(10) < positionWeight(2));
+    });
+});
+
+describe('computeFairnessMetrics', () => {
+    it('measures an even interleaving as perfectly fair', () => {
+        const offers = ['a', 'b', 'a', 'b'].map(sellerId => ({ sellerId }));
+        const metrics = computeFairnessMetrics(offers, { a: 2, b: 2 });
+
+        assert.equal(metrics.offersEvaluated, 4);
+        assert.equal(metrics.sellersShown, 2);
+        assert.equal(metrics.gini, 0);
+        assert.equal(metrics.normalizedEntropy, 1);
+        assert.equal(metrics.maxShare, 0.5);
+        assert.deepEqual(metrics.impressions, { a: 2, b: 2 });
+    });
+
+    it('counts sellers with inventory but no impressions', () => {
+        const offers = [{ sellerId: 'a' }, { sellerId: 'a' }];
+        const metrics = computeFairnessMetrics(offers, { a: 2, b: 2 });
+
+        assert.equal(metrics.sellersInCategory, 2);
+        assert.equal(metrics.sellersShown, 1);
+        assert.equal(metrics.gini, 0.5);
+        assert.equal(metrics.exposureInventoryRatio.a, 2);
+        assert.equal(metrics.exposureInventoryRatio.b, 0);
+        assert.deepEqual(metrics.exposureInventory, { min: 0, max: 2, disparity: 1 });
+    });
+
+    it('handles an empty page', () => {
+        const metrics = computeFairnessMetrics([]);
+
+        assert.equal(metrics.offersEvaluated, 0);
+        assert.equal(metrics.gini, 0);
+        assert.deepEqual(metrics.exposureInventory, { min: 0, max: 0, disparity: 0 });
+    });
+});
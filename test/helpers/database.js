@@ -0,0 +1,55 @@
+// test/helpers/database.js - MongoDB for the test suite
+// Uses MONGODB_TEST_URI when it is set (any local mongod), otherwise starts an in-process
+// mongodb-memory-server. The mongod binary is downloaded on first use and cached, so later runs
+// work offline; MONGOMS_SYSTEM_BINARY=/path/to/mongod skips the download entirely.
+// Without either (offline on the first run) the suites are skipped with the reason.
+
+const { mock } = require('node:test');
+const { ensureMongodBinary } = require('../../local-mongo');
+
+// Why the suites cannot run here, or null when they can
+async function databaseUnavailableReason() {
+    if (process.env.MONGODB_TEST_URI) {
+        return null;
+    }
+    try {
+        await ensureMongodBinary();
+        return null;
+    } catch (error) {
+        return `No MongoDB for the tests: ${error.message}; or set MONGODB_TEST_URI to a running mongod`;
+    }
+}
+
+// The demo classes take { connectionString, databaseName } from here, so config.js is never edited
+async function startTestDatabase(name) {
+    let memoryServer = null;
+    let uri = process.env.MONGODB_TEST_URI;
+
+    if (!uri) {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        memoryServer = await MongoMemoryServer.create();
+        uri = memoryServer.getUri();
+    }
+
+    return {
+        uri,
+        // Every test file works in its own database
+        connection: { connectionString: uri, databaseName: `marketplace_${name}_test` },
+        async stop() {
+            if (memoryServer) {
+                await memoryServer.stop();
+            }
+        }
+    };
+}
+
+// The demo classes print tables and progress lines; keep test output readable
+function silenceConsole() {
+    mock.method(console, 'log', () => {});
+}
+
+module.exports = {
+    databaseUnavailableReason,
+    startTestDatabase,
+    silenceConsole
+};
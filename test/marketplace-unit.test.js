@@ -0,0 +1,170 @@
+// FairMarketplace and CLIHandler helpers that need no database: the instance gets a stand-in Db it never queries
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { FairMarketplace, CLIHandler } = require('../marketplace');
+
+const offlineDb = { databaseName: 'marketplace_unit_test', collection: name => ({ collectionName: name }) };
+const marketplace = new FairMarketplace({ db: offlineDb });
+marketplace.quiet = true;
+const cli = new CLIHandler(marketplace);
+
+describe('pagination cursors', () => {
+    const offer = {
+        _id: 'offer_17',
+        sellerHash: 123456789,
+        offerScore: 4.5,
+        createdAt: new Date('2024-03-01T12:00:00Z')
+    };
+
+    it('round-trips the sort key, seed, page and total', () => {
+        const position = marketplace.decodeCursor(marketplace.encodeCursor(offer, 99, 3, 240));
+
+        assert.deepEqual(position, {
+            seed: 99,
+            page: 3,
+            total: 240,
+            sellerHash: 123456789,
+            offerScore: 4.5,
+            createdAt: new Date('2024-03-01T12:00:00Z'),
+            id: 'offer_17'
+        });
+    });
+
+    it('restores ObjectId offer IDs', () => {
+        const _id = new ObjectId();
+        const position = marketplace.decodeCursor(marketplace.encodeCursor({ ...offer, _id }, 1, 2, 10));
+
+        assert.ok(position.id instanceof ObjectId);
+        assert.ok(position.id.equals(_id));
+    });
+
+    it('rejects tokens it did not produce', () => {
+        const encode = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+        const valid = { seed: 1, page: 2, total: 10, sellerHash: 5, id: 'offer_1' };
+
+        assert.throws(() => marketplace.decodeCursor('not a cursor'), /Invalid pagination cursor/);
+        assert.throws(() => marketplace.decodeCursor(encode({ ...valid, seed: '1' })), /Invalid pagination cursor/);
+        assert.throws(() => marketplace.decodeCursor(encode({ ...valid, page: 1.5 })), /Invalid pagination cursor/);
+        assert.throws(() => marketplace.decodeCursor(encode({ ...valid, total: 'all' })), /Invalid pagination cursor/);
+        assert.throws(() => marketplace.decodeCursor(encode({ ...valid, id: undefined })), /Invalid pagination cursor/);
+    });
+
+    it('matches offers after the cursor in { sellerHash, offerScore desc, createdAt desc, _id } order', () => {
+        const position = marketplace.decodeCursor(marketplace.encodeCursor(offer, 99, 3, 240));
+
+        assert.deepEqual(marketplace.buildCursorMatch(position), {
+            $or: [
+                { sellerHash: { $gt: 123456789 } },
+                { sellerHash: 123456789, offerScore: { $lt: 4.5 } },
+                { sellerHash: 123456789, offerScore: 4.5, createdAt: { $lt: offer.createdAt } },
+                { sellerHash: 123456789, offerScore: 4.5, createdAt: offer.createdAt, _id: { $gt: 'offer_17' } }
+            ]
+        });
+    });
+});
+
+describe('computeSellerShuffle', () => {
+    const sellerIds = Array.from({ length: 20 }, (_, i) => `seller_${i + 1}`);
+
+    it('is a deterministic permutation of the sellers for a seed', () => {
+        const first = marketplace.computeSellerShuffle(sellerIds, 7).order;
+        const again = marketplace.computeSellerShuffle(sellerIds, 7).order;
+        const other = marketplace.computeSellerShuffle(sellerIds, 8).order;
+
+        assert.deepEqual(first, again);
+        assert.deepEqual([...first].sort(), [...sellerIds].sort());
+        assert.notDeepEqual(first, other);
+    });
+
+    it('orders by 48-bit hashes that line up with sellerIds', () => {
+        const { hashes, order } = marketplace.computeSellerShuffle(sellerIds, 7);
+
+        hashes.forEach(hash => assert.ok(Number.isInteger(hash) && hash >= 0 && hash < Math.pow(2, 48)));
+        const hashOf = sellerId => hashes[sellerIds.indexOf(sellerId)];
+        order.slice(1).forEach((sellerId, i) => assert.ok(hashOf(order[i]) <= hashOf(sellerId)));
+    });
+});
+
+describe('testSellerShuffle', () => {
+    const sellerIds = ['seller_1', new ObjectId(), 'a1b2c3d4-0000-4000-8000-000000000000', 'Acme Games'];
+
+    it('passes the HMAC shuffle over mixed ID formats', () => {
+        const report = marketplace.testSellerShuffle(sellerIds, 2000);
+
+        assert.equal(report.sellers, 4);
+        assert.equal(report.expectedPerCell, 500);
+        assert.equal(report.degreesOfFreedom, 9);
+        report.counts.forEach(row => assert.equal(row.reduce((a, b) => a + b, 0), 2000));
+        assert.equal(report.passed, true);
+    });
+
+    it('fails an order that never changes', () => {
+        const report = marketplace.testSellerShuffle(sellerIds, 2000, () => sellerIds);
+
+        assert.equal(report.passed, false);
+        assert.equal(report.maxDeviation, 3);
+    });
+});
+
+describe('CLIHandler.parseFilters', () => {
+    it('parses numbers, booleans, tags and dates', () => {
+        assert.deepEqual(cli.parseFilters('minPrice=10,maxPrice=50.5,inStock=true,tags=co-op+pvp,createdAfter=2024-01-01'), {
+            minPrice: 10,
+            maxPrice: 50.5,
+            inStock: true,
+            tags: ['co-op', 'pvp'],
+            createdAfter: '2024-01-01'
+        });
+    });
+
+    it('rejects malformed and unknown filters', () => {
+        assert.throws(() => cli.parseFilters('minPrice'), /Invalid filter "minPrice". Use key=value/);
+        assert.throws(() => cli.parseFilters('minPrice=cheap'), /Invalid value "cheap" for filter minPrice: expected a number/);
+        assert.throws(() => cli.parseFilters('inStock=yes'), /Invalid value "yes" for filter inStock: expected true or false/);
+        assert.throws(() => cli.parseFilters('createdAfter=soon'), /Filter createdAfter must be a date/);
+        assert.throws(() => cli.parseFilters('colour=red'), /Unknown filter "colour"/);
+    });
+});
+
+describe('CLIHandler CSV output', () => {
+    it('flattens nested objects, dates, ObjectIds and arrays', () => {
+        const _id = new ObjectId();
+        const flat = cli.flattenRow({
+            _id,
+            createdAt: new Date('2024-03-01T12:00:00Z'),
+            profile: { tier: 'gold', stats: { rating: 4.5 } },
+            tags: ['co-op', 'pvp'],
+            history: [{ page: 1 }],
+            note: null
+        });
+
+        assert.deepEqual(flat, {
+            _id: _id.toHexString(),
+            createdAt: '2024-03-01T12:00:00.000Z',
+            'profile.tier': 'gold',
+            'profile.stats.rating': 4.5,
+            tags: 'co-op|pvp',
+            history: '{"page":1}',
+            note: null
+        });
+    });
+
+    it('takes columns in order of first appearance and quotes where needed', () => {
+        const csv = cli.toCsv([
+            { title: 'Sword, +1', price: 10 },
+            { title: 'The "Best" Shield', stock: 3 },
+            { title: 'Line\nbreak', price: null }
+        ]);
+
+        assert.equal(csv, [
+            'title,price,stock',
+            '"Sword, +1",10,',
+            '"The ""Best"" Shield",,3',
+            '"Line\nbreak",,',
+            ''
+        ].join('\n'));
+        assert.equal(cli.toCsv([]), '');
+    });
+});
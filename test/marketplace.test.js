@@ -0,0 +1,246 @@
+// FairMarketplace against a throwaway MongoDB (see test/helpers/database.js)
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { faker } = require('@faker-js/faker');
+const { databaseUnavailableReason, startTestDatabase, silenceConsole } = require('./helpers/database');
+
+describe('FairMarketplace', async () => {
+    const unavailable = await databaseUnavailableReason();
+    if (unavailable) {
+        it('runs against MongoDB', { skip: unavailable }, () => {});
+        return;
+    }
+
+    let database;
+    let marketplace;
+    let visibleOffers;
+
+    // Every offer a method should be able to show in a category: suspended sellers are excluded
+    const visibleOfferIds = async (gameCategory) => {
+        const suspended = await marketplace.getSuspendedSellerIds();
+        const offers = await marketplace.collection
+            .find({ gameCategory, sellerId: { $nin: suspended } }, { projection: { _id: 1 } })
+            .toArray();
+        return offers.map(offer => offer._id).sort();
+    };
+
+    // Page through a method until it reports no next page
+    const collectAllPages = async (method, gameCategory, limit, options) => {
+        const offers = [];
+        for (let page = 1; page <= 100; page++) {
+            const result = await marketplace.runDistributionMethod(method, gameCategory, page, limit, options);
+            offers.push(...result.offers);
+            if (!result.pagination.hasNextPage) {
+                return offers;
+            }
+        }
+        throw new Error(`${method} did not finish paging`);
+    };
+
+    before(async () => {
+        silenceConsole();
+        database = await startTestDatabase('fair_marketplace');
+
+        const { FairMarketplace } = require('../marketplace');
+        marketplace = new FairMarketplace(database.connection);
+        marketplace.quiet = true;
+        await marketplace.connect();
+        await marketplace.createIndexes();
+        await marketplace.seedData(240, 12, { fakerSeed: 42 });
+
+        visibleOffers = await visibleOfferIds('RPG');
+    });
+
+    after(async () => {
+        if (marketplace && marketplace.db) {
+            await marketplace.db.dropDatabase();
+            await marketplace.disconnect();
+        }
+        if (database) {
+            await database.stop();
+        }
+    });
+
+    describe('seedData', () => {
+        it('creates the requested offers and seller profiles', async () => {
+            assert.equal(await marketplace.collection.countDocuments(), 240);
+            assert.equal(await marketplace.sellersCollection.countDocuments(), 12);
+            assert.ok(visibleOffers.length > 0, 'RPG has offers from active sellers');
+        });
+
+        it('appends numbered offers without touching existing ones', async () => {
+            const summary = await marketplace.seedData(5, 12, { mode: 'append', fakerSeed: 1 });
+            assert.equal(summary.firstOfferId, 'offer_241');
+            assert.equal(summary.lastOfferId, 'offer_245');
+            assert.equal(await marketplace.collection.countDocuments(), 245);
+
+            await marketplace.collection.deleteMany({ _id: { $in: ['offer_241', 'offer_242', 'offer_243', 'offer_244', 'offer_245'] } });
+        });
+    });
+
+    // Property: paging through a full ordering shows every visible offer exactly once,
+    // for any seed and page size
+    for (const method of ['hash-round-robin', 'true-round-robin', 'weighted', 'quality-round-robin']) {
+        it(`${method} returns every offer exactly once across pages`, async () => {
+            faker.seed(method.length);
+            for (let run = 0; run < 5; run++) {
+                const seed = faker.number.int({ min: 1, max: 1e9 });
+                const limit = faker.number.int({ min: 1, max: 15 });
+
+                const offers = await collectAllPages(method, 'RPG', limit, { seed });
+                const ids = offers.map(offer => offer._id);
+
+                assert.equal(new Set(ids).size, ids.length, `duplicate offers (seed ${seed}, limit ${limit})`);
+                assert.deepEqual([...ids].sort(), visibleOffers, `missing offers (seed ${seed}, limit ${limit})`);
+            }
+        });
+    }
+
+    it('hash-round-robin cursors continue the same ordering as page numbers', async () => {
+        const byPage = await collectAllPages('hash-round-robin', 'RPG', 4, { seed: 99 });
+
+        const byCursor = [];
+        let cursor = null;
+        do {
+            const result = await marketplace.getOffersHashRoundRobin('RPG', 1, 4, 99, cursor);
+            byCursor.push(...result.offers);
+            // Later pages take the total from the cursor instead of counting again
+            assert.equal(result.pagination.total, visibleOffers.length);
+            cursor = result.pagination.nextCursor;
+        } while (cursor);
+
+        assert.deepEqual(byCursor.map(offer => offer._id), byPage.map(offer => offer._id));
+    });
+
+    it('weighted ranks the same for a seed after the seed interval rolls over', async () => {
+        const first = await collectAllPages('weighted', 'RPG', 8, { seed: 17 });
+
+        const later = Date.now() + 3 * 24 * 60 * 60 * 1000;
+        mock.method(Date, 'now', () => later);
+        try {
+            const rolledOver = await collectAllPages('weighted', 'RPG', 8, { seed: 17 });
+            assert.deepEqual(rolledOver.map(offer => offer._id), first.map(offer => offer._id));
+        } finally {
+            Date.now.mock.restore();
+        }
+    });
+
+    it('true-round-robin shows every seller once per round', async () => {
+        const offers = await collectAllPages('true-round-robin', 'RPG', 10, { seed: 5 });
+        const sellersInFirstRound = new Set(offers.map(offer => offer.sellerId)).size;
+        const firstRound = offers.slice(0, sellersInFirstRound).map(offer => offer.sellerId);
+
+        assert.equal(new Set(firstRound).size, sellersInFirstRound);
+    });
+
+    it('quota never shows a seller more than maxPerSeller times', async () => {
+        const offers = await collectAllPages('quota', 'RPG', 7, { seed: 3, maxPerSeller: 2 });
+        const perSeller = {};
+        offers.forEach(offer => {
+            perSeller[offer.sellerId] = (perSeller[offer.sellerId] || 0) + 1;
+        });
+
+        assert.equal(new Set(offers.map(offer => offer._id)).size, offers.length);
+        Object.values(perSeller).forEach(count => assert.ok(count <= 2));
+    });
+
+    it('min-gap keeps offers of one seller apart and still shows every offer once', async () => {
+        const limit = 6;
+        const offers = [];
+        const pages = [];
+        for (let page = 1; page <= 100; page++) {
+            const result = await marketplace.runDistributionMethod('hash-round-robin', 'RPG', page, limit, { seed: 11, minGap: 1 });
+            assert.equal(result.diversity.minGap, 1);
+            offers.push(...result.offers);
+            pages.push(result);
+            if (!result.pagination.hasNextPage) {
+                break;
+            }
+        }
+
+        const ids = offers.map(offer => offer._id);
+        assert.deepEqual([...ids].sort(), visibleOffers);
+
+        // Neighbours share a seller only once a single seller is left, across page boundaries too
+        const repeats = offers.map((offer, i) => i > 0 && String(offer.sellerId) === String(offers[i - 1].sellerId));
+        repeats.forEach((repeat, i) => {
+            if (repeat) {
+                const rest = new Set(offers.slice(i - 1).map(offer => String(offer.sellerId)));
+                assert.equal(rest.size, 1, `offers ${i - 1} and ${i} share a seller while others remain`);
+            }
+        });
+
+        // Each page reports exactly those forced repeats, so none while more than one seller is left
+        pages.forEach((result, p) => {
+            const forced = repeats.slice(p * limit, (p + 1) * limit).filter(Boolean).length;
+            assert.equal(result.diversity.violations, forced, `page ${p + 1}`);
+        });
+    });
+
+    it('works on an injected Db with overridden collection names and leaves it open', async () => {
+        const { FairMarketplace } = require('../marketplace');
+        const embedded = new FairMarketplace({
+            db: marketplace.db,
+            collectionNames: { offers: 'embedded_offers', events: 'embedded_events', sellers: 'embedded_sellers' }
+        });
+        embedded.quiet = true;
+        await embedded.connect();
+        await embedded.seedData(30, 4, { fakerSeed: 5 });
+
+        assert.equal(embedded.collection.collectionName, 'embedded_offers');
+        assert.equal(await marketplace.db.collection('embedded_offers').countDocuments(), 30);
+        assert.equal(await marketplace.collection.countDocuments(), 240, 'the configured collections are untouched');
+
+        await embedded.disconnect();
+        assert.equal(await marketplace.db.collection('embedded_sellers').countDocuments(), 4, 'the shared client stays open');
+    });
+
+    it('rejects unknown distribution methods', async () => {
+        await assert.rejects(
+            marketplace.runDistributionMethod('no-such-method', 'RPG', 1, 10),
+            /Unknown method "no-such-method"/
+        );
+    });
+
+    it('keys impressions and clicks by the registry name so the report pairs them', async () => {
+        await marketplace.eventsCollection.deleteMany({});
+        const result = await marketplace.runDistributionMethod('round-robin', 'RPG', 1, 5, { seed: 21 });
+        await marketplace.recordImpression(result);
+        await marketplace.recordClick(result.offers[0]._id, { method: 'round-robin', page: 1, position: 1 });
+
+        const report = await marketplace.getEngagementReport(1, 'hash-round-robin');
+        assert.deepEqual(report.byMethod.map(({ _id, impressions, clicks }) => ({ _id, impressions, clicks })),
+            [{ _id: 'hash-round-robin', impressions: 5, clicks: 1 }]);
+    });
+
+    describe('reserveStock', () => {
+        it('decrements stock and refuses to oversell', async () => {
+            const { _id: offerId, stock } = await marketplace.collection.findOne({}, { sort: { _id: 1 } });
+
+            const reserved = await marketplace.reserveStock(offerId, 1);
+            assert.equal(reserved.reserved, true);
+            assert.equal(reserved.remainingStock, stock - 1);
+
+            const refused = await marketplace.reserveStock(offerId, stock);
+            assert.equal(refused.reserved, false);
+            assert.equal(refused.reason, 'insufficient_stock');
+            assert.equal(refused.availableStock, stock - 1);
+        });
+
+        it('throws for unknown offers', async () => {
+            await assert.rejects(marketplace.reserveStock('offer_missing', 1), /Offer not found/);
+        });
+    });
+
+    it('compareDistributionMethods reports metrics for every registered method', async () => {
+        const comparison = await marketplace.compareDistributionMethods('RPG', 10, 2);
+
+        assert.equal(comparison.length, marketplace.registry.list().length);
+        comparison.forEach(entry => {
+            assert.equal(entry.error, undefined, `${entry.method} failed: ${entry.error}`);
+            assert.equal(entry.seed, comparison[0].seed, 'every method pages with the same seed');
+            assert.ok(entry.metrics.gini >= 0 && entry.metrics.gini <= 1);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+// PriceConversionSystem against a throwaway MongoDB (see test/helpers/database.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { faker } = require('@faker-js/faker');
+const { databaseUnavailableReason, startTestDatabase, silenceConsole } = require('./helpers/database');
+
+describe('PriceConversionSystem', async () => {
+    const unavailable = await databaseUnavailableReason();
+    if (unavailable) {
+        it('runs against MongoDB', { skip: unavailable }, () => {});
+        return;
+    }
+
+    let database;
+    let prices;
+
+    before(async () => {
+        silenceConsole();
+        database = await startTestDatabase('price_conversion');
+
+        const { PriceConversionSystem } = require('../price-conversion');
+        prices = new PriceConversionSystem(database.connection);
+        await prices.connect();
+        await prices.createIndexes();
+        await prices.initializeExchangeRates();
+    });
+
+    after(async () => {
+        if (prices && prices.db) {
+            await prices.db.dropDatabase();
+            await prices.disconnect();
+        }
+        if (database) {
+            await database.stop();
+        }
+    });
+
+    it('loads a USD rate for every supported currency', () => {
+        prices.currencies.forEach(currency => assert.ok(prices.exchangeRatesCache.get(currency) > 0, currency));
+        assert.equal(prices.convertToUSD(12.5, 'USD'), 12.5);
+        assert.equal(prices.convertFromUSD(12.5, 'USD'), 12.5);
+    });
+
+    it('throws for currencies without a rate', () => {
+        assert.throws(() => prices.convertToUSD(10, 'EUR'), /Exchange rate not found for EUR/);
+        assert.throws(() => prices.convertFromUSD(10, 'EUR'), /Exchange rate not found for EUR/);
+    });
+
+    // Property: converting there and back only loses the 4-decimal rounding of each step.
+    // Local -> USD is off by at most 0.00005 USD (0.00005 / rate in local units) and the
+    // way back adds at most 0.00005 local units
+    it('local -> USD -> local round-trips stay within rounding tolerance', () => {
+        faker.seed(2024);
+        prices.currencies.forEach(currency => {
+            const rate = prices.exchangeRatesCache.get(currency);
+            const tolerance = 0.00005 / rate + 0.00005 + 1e-9;
+
+            for (let run = 0; run < 500; run++) {
+                const price = faker.number.float({ min: 0.01, max: 10000000, multipleOf: 0.01 });
+                const roundTrip = prices.convertFromUSD(prices.convertToUSD(price, currency), currency);
+                assert.ok(Math.abs(roundTrip - price) <= tolerance,
+                    `${price} ${currency} came back as ${roundTrip} (tolerance ${tolerance})`);
+            }
+        });
+    });
+
+    it('USD -> local -> USD round-trips stay within rounding tolerance', () => {
+        faker.seed(2025);
+        prices.currencies.forEach(currency => {
+            const rate = prices.exchangeRatesCache.get(currency);
+            const tolerance = 0.00005 * rate + 0.00005 + 1e-9;
+
+            for (let run = 0; run < 500; run++) {
+                const usdPrice = faker.number.float({ min: 0.01, max: 100000, multipleOf: 0.0001 });
+                const roundTrip = prices.convertToUSD(prices.convertFromUSD(usdPrice, currency), currency);
+                assert.ok(Math.abs(roundTrip - usdPrice) <= tolerance,
+                    `$${usdPrice} via ${currency} came back as $${roundTrip} (tolerance ${tolerance})`);
+            }
+        });
+    });
+
+    describe('listings', () => {
+        before(async () => {
+            faker.seed(7);
+            await prices.listingsCollection.deleteMany({});
+            await prices.generateListings(60);
+        });
+
+        it('stores each listing\'s USD price converted from its local price', async () => {
+            const listings = await prices.listingsCollection.find({}).toArray();
+            assert.equal(listings.length, 60);
+
+            listings.forEach(listing => {
+                const local = parseFloat(listing.priceLocal.toString());
+                const usd = parseFloat(listing.priceUSD.toString());
+                assert.equal(usd, prices.convertToUSD(local, listing.currency));
+            });
+        });
+
+        it('lists by USD price in either direction across pages', async () => {
+            const ascending = [];
+            for (let page = 1; page <= 3; page++) {
+                const { listings } = await prices.listByPrice('USD', 1, 20, null, page);
+                ascending.push(...listings.map(listing => parseFloat(listing.priceUSD.toString())));
+            }
+            assert.equal(ascending.length, 60);
+            assert.deepEqual(ascending, [...ascending].sort((a, b) => a - b));
+
+            const { listings: descending } = await prices.listByPrice('PHP', -1, 5);
+            assert.equal(parseFloat(descending[0].priceUSD.toString()), ascending[ascending.length - 1]);
+        });
+
+        it('finds listings in a range given in any currency', async () => {
+            const { listings, pagination } = await prices.searchByPriceRange(20, 200, 'USD', 'All', 100);
+            const expected = await prices.listingsCollection.countDocuments({
+                $expr: { $and: [{ $gte: [{ $toDouble: '$priceUSD' }, 20] }, { $lte: [{ $toDouble: '$priceUSD' }, 200] }] }
+            });
+            assert.equal(pagination.totalCount, expected);
+            listings.forEach(listing => {
+                const usd = parseFloat(listing.priceUSD.toString());
+                assert.ok(usd >= 20 && usd <= 200);
+            });
+
+            // The MYR range is converted to USD before querying
+            const myrRate = prices.exchangeRatesCache.get('MYR');
+            const { listings: myrListings } = await prices.searchByPriceRange(100, 900, 'MYR', 'All', 100);
+            myrListings.forEach(listing => {
+                const usd = parseFloat(listing.priceUSD.toString());
+                assert.ok(usd >= 100 * myrRate - 0.0001 && usd <= 900 * myrRate + 0.0001);
+            });
+        });
+    });
+});